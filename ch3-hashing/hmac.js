@@ -0,0 +1,229 @@
+// Import the crypto library
+const crypto = require('crypto')
+
+/*
+MACs are exchanged as strings in the format "<keyId>.<algorithm>.<mac>", where:
+- keyId is the ID of the key in the keyring
+- algorithm is one of "HS256", "HS384" or "HS512" (for HMAC-SHA256, HMAC-SHA384, and HMAC-SHA512)
+- mac is the result of the HMAC, base64url-encoded
+The same format is used by ch7-ch8-browser-cryptography/hmac.js, so MACs created in Node.js can be verified in the browser and vice versa.
+*/
+
+// Map between the names of the algorithms used in the MAC strings and the hashing functions in Node.js
+const algorithms = {
+    'HS256': 'sha256',
+    'HS384': 'sha384',
+    'HS512': 'sha512',
+}
+
+/**
+ * Keyring containing all keys that can be used to verify MACs, and the ID of the one that is used to calculate new MACs.
+ * When rotating keys, add the new key and set it as current, but keep the old ones until all MACs calculated with them are not needed anymore.
+ * @typedef {Object} HmacKeyring
+ * @property {string} current ID of the key used to calculate new MACs
+ * @property {Record<string, {key: Buffer, algorithm: 'HS256'|'HS384'|'HS512'}>} keys All keys, by their ID
+ */
+
+/**
+ * Calculates the HMAC of a message.
+ * @param {Buffer} key Key for the HMAC; should be at least as long as the output of the hashing function
+ * @param {string|Buffer} message Message to authenticate
+ * @param {'HS256'|'HS384'|'HS512'} algorithm Algorithm to use
+ * @returns {Buffer} The HMAC of the message
+ */
+function hmacDigest(key, message, algorithm) {
+    return crypto.createHmac(algorithms[algorithm], key)
+        .update(message)
+        .digest()
+}
+
+/**
+ * Calculates the HMAC of a readable stream.
+ * @param {Buffer} key Key for the HMAC; should be at least as long as the output of the hashing function
+ * @param {import('stream').Readable} read Readable stream
+ * @param {'HS256'|'HS384'|'HS512'} algorithm Algorithm to use
+ * @returns {Promise<Buffer>} The HMAC of the message read from the stream
+ */
+function hmacDigestStream(key, read, algorithm) {
+    // Need to wrap this into a Promise to await on the completion of the stream
+    return new Promise((resolve, reject) => {
+        // Create the object that will compute the HMAC
+        const hmac = crypto.createHmac(algorithms[algorithm], key)
+        // In case of error reading the stream, the promise is rejected with the error
+        read.on('error', (err) => {
+            // Reject the promise with the error
+            reject(err)
+        })
+        // Update the HMAC with every chunk of data read from the stream
+        read.on('data', (chunk) => {
+            hmac.update(chunk)
+        })
+        // At the end of the stream, compute the HMAC
+        read.on('end', () => {
+            // Resolve the promise with the computed value of the HMAC
+            resolve(hmac.digest())
+        })
+    })
+}
+
+/**
+ * Calculates the MAC of a message using the current key in the keyring.
+ * @param {HmacKeyring} keyring Keyring
+ * @param {string|Buffer} message Message to authenticate
+ * @returns {string} The MAC, in the format "<keyId>.<algorithm>.<mac>"
+ */
+function sign(keyring, message) {
+    const {key, algorithm} = keyring.keys[keyring.current]
+    const mac = hmacDigest(key, message, algorithm)
+    return formatMac(keyring.current, algorithm, mac)
+}
+
+/**
+ * Calculates the MAC of a readable stream using the current key in the keyring.
+ * @param {HmacKeyring} keyring Keyring
+ * @param {import('stream').Readable} read Readable stream
+ * @returns {Promise<string>} The MAC, in the format "<keyId>.<algorithm>.<mac>"
+ */
+async function signStream(keyring, read) {
+    const {key, algorithm} = keyring.keys[keyring.current]
+    const mac = await hmacDigestStream(key, read, algorithm)
+    return formatMac(keyring.current, algorithm, mac)
+}
+
+/**
+ * Verifies the MAC of a message, using the key from the keyring whose ID is in the MAC.
+ * @param {HmacKeyring} keyring Keyring
+ * @param {string|Buffer} message Message that was authenticated
+ * @param {string} mac The MAC to verify, in the format "<keyId>.<algorithm>.<mac>"
+ * @returns {boolean} Returns true if the MAC is valid
+ */
+function verify(keyring, message, mac) {
+    const parsed = parseMac(keyring, mac)
+    if (!parsed) {
+        return false
+    }
+    return compareMac(
+        hmacDigest(parsed.key, message, parsed.algorithm),
+        parsed.mac
+    )
+}
+
+/**
+ * Verifies the MAC of a readable stream, using the key from the keyring whose ID is in the MAC.
+ * @param {HmacKeyring} keyring Keyring
+ * @param {import('stream').Readable} read Readable stream
+ * @param {string} mac The MAC to verify, in the format "<keyId>.<algorithm>.<mac>"
+ * @returns {Promise<boolean>} Returns true if the MAC is valid
+ */
+async function verifyStream(keyring, read, mac) {
+    const parsed = parseMac(keyring, mac)
+    if (!parsed) {
+        return false
+    }
+    return compareMac(
+        await hmacDigestStream(parsed.key, read, parsed.algorithm),
+        parsed.mac
+    )
+}
+
+/**
+ * Encodes a MAC as string.
+ * @param {string} keyId ID of the key
+ * @param {string} algorithm Algorithm used
+ * @param {Buffer} mac Result of the HMAC
+ * @returns {string} The MAC, in the format "<keyId>.<algorithm>.<mac>"
+ */
+function formatMac(keyId, algorithm, mac) {
+    return keyId + '.' + algorithm + '.' + mac.toString('base64url')
+}
+
+/**
+ * Parses a MAC string and finds the key in the keyring.
+ * @param {HmacKeyring} keyring Keyring
+ * @param {string} mac The MAC, in the format "<keyId>.<algorithm>.<mac>"
+ * @returns {{key: Buffer, algorithm: string, mac: Buffer}|null} The key, the algorithm, and the decoded MAC; null if the MAC isn't valid or the key isn't in the keyring
+ */
+function parseMac(keyring, mac) {
+    const parts = mac.split('.')
+    if (parts.length != 3) {
+        return null
+    }
+    const [keyId, algorithm, value] = parts
+
+    // The key must be in the keyring, and the algorithm must be the one the key is meant for
+    // This prevents an attacker from choosing a different algorithm
+    const entry = Object.prototype.hasOwnProperty.call(keyring.keys, keyId) && keyring.keys[keyId]
+    if (!entry || entry.algorithm != algorithm) {
+        return null
+    }
+
+    return {
+        key: entry.key,
+        algorithm,
+        mac: Buffer.from(value, 'base64url'),
+    }
+}
+
+/**
+ * Compares two MACs in constant time.
+ * @param {Buffer} a First MAC
+ * @param {Buffer} b Second MAC
+ * @returns {boolean} Returns true if the MACs are equal
+ */
+function compareMac(a, b) {
+    // crypto.timingSafeEqual requires both buffers to have the same length
+    return a.length == b.length &&
+        crypto.timingSafeEqual(a, b)
+}
+
+/* Example usage */
+
+const fs = require('fs')
+
+// Wrap in an asynchronous IIFE (Immediately-Invoked Function Expression) because we need to use the await keyword
+;(async function() {
+    // Keyring with two keys: "2023-01" is an old one that is still valid, and "2023-02" is used for new MACs
+    // In this case, the keys are hardcoded and base64-encoded, so we need to decode them
+    // These are the same keys used in ch7-ch8-browser-cryptography/hmac.js
+    const keyring = {
+        current: '2023-02',
+        keys: {
+            '2023-01': {
+                key: Buffer.from('yMqP0s3D3lS2tQXJr5Vy0yAaR9uKa5XvN5M3oTn1k2Y=', 'base64'),
+                algorithm: 'HS256',
+            },
+            '2023-02': {
+                key: Buffer.from('Xq8c5M+bTzA0fVdN6pG8l2yW1kR3sJeH4tC9uZ7vQ0aLmB2xE6nD5oF1gI3hK8jP', 'base64'),
+                algorithm: 'HS384',
+            },
+        },
+    }
+
+    // Calculate the MAC of a message with the current key
+    const message = 'Hello world!'
+    const mac = sign(keyring, message)
+    console.log('MAC:', mac)
+    console.log('Valid:', verify(keyring, message, mac))
+    console.log('Tampered message valid:', verify(keyring, 'Hello world?', mac))
+
+    // MACs calculated with older keys can be verified too, as long as the key is in the keyring
+    // This MAC was calculated in the browser with the key "2023-01"
+    const oldMac = '2023-01.HS256.zt_Mn7I1-jeJ-DaexxRafStdl0NBDZ7TaMpdVtYhvCY'
+    console.log('Old MAC valid:', verify(keyring, message, oldMac))
+
+    // Calculate the MAC of a file, as a stream
+    const testFile = '../test-files/alessandro-porri-yl4y4l86gEk-unsplash.jpg'
+    const fileMac = await signStream(keyring, fs.createReadStream(testFile))
+    console.log('File MAC:', fileMac)
+    console.log('File MAC valid:', await verifyStream(keyring, fs.createReadStream(testFile), fileMac))
+})()
+
+/*
+Result:
+  MAC: 2023-02.HS384.6TU-Yl862xnI3j711HcDQ7k8wGySK6Ef3z0GCD4Dtq2-IlaudHbwlhHt1o9cWbFF
+  Valid: true
+  Tampered message valid: false
+  Old MAC valid: true
+  File MAC: 2023-02.HS384.fZUx0L9D1Masf0ldJuzmkAw2r6PSrqnbI4n3_d88ZKAVm-s5Zj4QTD1uCeqgV5Q1
+  File MAC valid: true
+*/
@@ -0,0 +1,339 @@
+// Import the crypto library
+const crypto = require('crypto')
+
+/*
+The file is split into chunks of fixed size (the last one can be shorter), and each chunk is hashed with SHA-256 to form the leaves of a binary Merkle tree.
+To prevent a leaf from being confused with an internal node (second pre-image attacks), leaves and nodes are hashed with different prefixes, like in RFC 6962:
+  leaf = SHA-256(0x00 || chunk)
+  node = SHA-256(0x01 || left || right)
+When a level has an odd number of nodes, the last one is promoted to the next level unchanged.
+Finally, the root is bound to the size of the file and the chunk size:
+  root = SHA-256(0x02 || size as uint64 BE || chunkSize as uint32 BE || tree root)
+*/
+
+/**
+ * Manifest of a file hashed as a Merkle tree
+ * @typedef {Object} MerkleManifest
+ * @property {number} size Size of the file, in bytes
+ * @property {number} chunkSize Size of each chunk, in bytes
+ * @property {string[]} leaves Hashes of each chunk (the leaves of the tree), hex-encoded
+ */
+/**
+ * Proof that a range of chunks is included in a file
+ * @typedef {Object} MerkleRangeProof
+ * @property {number} size Size of the file, in bytes
+ * @property {number} chunkSize Size of each chunk, in bytes
+ * @property {number} start Offset of the first byte covered by the proof; this is aligned to the beginning of a chunk
+ * @property {number} end Offset of the last byte covered by the proof (inclusive); this is aligned to the end of a chunk
+ * @property {string[]} hashes Hashes of the sibling nodes needed to re-compute the root, hex-encoded
+ */
+
+/**
+ * Calculates the Merkle tree of a readable stream, splitting it in chunks of fixed size.
+ * @param {import('stream').Readable} read Readable stream
+ * @param {number} [chunkSize] Size of each chunk, in bytes; defaults to 64KB
+ * @returns {Promise<{root: string, manifest: MerkleManifest}>} The root hash (hex-encoded), and the manifest which contains the hashes of all chunks
+ */
+function merkleTreeStream(read, chunkSize) {
+    chunkSize = chunkSize || 64 * 1024
+
+    // Need to wrap this into a Promise to await on the completion of the stream
+    return new Promise((resolve, reject) => {
+        const leaves = []
+        let size = 0
+
+        // Data read from the stream that hasn't filled a whole chunk yet
+        let pending = []
+        let pendingLength = 0
+
+        // In case of error reading the stream, the promise is rejected with the error
+        read.on('error', (err) => {
+            // Reject the promise with the error
+            reject(err)
+        })
+
+        // Every time there's data, split it in chunks and hash every chunk that is complete
+        read.on('data', (data) => {
+            size += data.length
+            pending.push(data)
+            pendingLength += data.length
+            if (pendingLength < chunkSize) {
+                return
+            }
+            let buf = Buffer.concat(pending)
+            while (buf.length >= chunkSize) {
+                leaves.push(hashLeaf(buf.slice(0, chunkSize)))
+                buf = buf.slice(chunkSize)
+            }
+            pending = [buf]
+            pendingLength = buf.length
+        })
+
+        // At the end of the stream, hash the last chunk and compute the root
+        read.on('end', () => {
+            // The last chunk can be shorter; an empty file has a single, empty chunk
+            if (pendingLength > 0 || leaves.length == 0) {
+                leaves.push(hashLeaf(Buffer.concat(pending)))
+            }
+
+            const manifest = {
+                size,
+                chunkSize,
+                leaves: leaves.map((leaf) => leaf.toString('hex')),
+            }
+            resolve({
+                root: computeRoot(size, chunkSize, treeRoot(leaves)).toString('hex'),
+                manifest,
+            })
+        })
+    })
+}
+
+/**
+ * Creates the proof that a range of bytes is part of the file described by the manifest.
+ * The range is extended to whole chunks: the client needs to download the bytes between `proof.start` and `proof.end` (inclusive) to verify them.
+ * @param {MerkleManifest} manifest Manifest of the file
+ * @param {number} start Offset of the first byte in the range
+ * @param {number} end Offset of the last byte in the range (inclusive)
+ * @returns {MerkleRangeProof} Proof for the range
+ */
+function createRangeProof(manifest, start, end) {
+    if (start < 0 || end < start || end >= Math.max(manifest.size, 1)) {
+        throw Error('Range is not valid')
+    }
+
+    // Index of the first and last chunk in the range
+    let first = Math.floor(start / manifest.chunkSize)
+    let last = Math.floor(end / manifest.chunkSize)
+
+    // Walk the tree from the leaves to the root, collecting the sibling nodes that are needed to compute the parents of the nodes in the range
+    const hashes = []
+    let level = manifest.leaves.map((leaf) => Buffer.from(leaf, 'hex'))
+    while (level.length > 1) {
+        // If the first node is a right child, we need its sibling on the left
+        if (first % 2 == 1) {
+            hashes.push(level[first - 1].toString('hex'))
+        }
+        // If the last node is a left child and it has a sibling, we need its sibling on the right
+        if (last % 2 == 0 && last + 1 < level.length) {
+            hashes.push(level[last + 1].toString('hex'))
+        }
+
+        // Move to the next level
+        level = nextLevel(level)
+        first = Math.floor(first / 2)
+        last = Math.floor(last / 2)
+    }
+
+    // Extend the range to whole chunks
+    const alignedStart = Math.floor(start / manifest.chunkSize) * manifest.chunkSize
+    const alignedEnd = Math.min(
+        (Math.floor(end / manifest.chunkSize) + 1) * manifest.chunkSize,
+        manifest.size
+    ) - 1
+
+    return {
+        size: manifest.size,
+        chunkSize: manifest.chunkSize,
+        start: alignedStart,
+        end: alignedEnd,
+        hashes,
+    }
+}
+
+/**
+ * Verifies that a range of bytes that was downloaded is part of the file with the given root hash.
+ * @param {string} root Root hash of the file, hex-encoded
+ * @param {MerkleRangeProof} proof Proof for the range
+ * @param {Buffer} data Data in the range, which contains the bytes between `proof.start` and `proof.end` (inclusive)
+ * @returns {boolean} Returns true if the data is valid
+ */
+function verifyRange(root, proof, data) {
+    const {size, chunkSize} = proof
+
+    // The proof comes from an untrusted source, so check that its numbers are valid before using them
+    const isIndex = (n) => Number.isSafeInteger(n) && n >= 0
+    if (!isIndex(size) || !isIndex(chunkSize) || chunkSize < 1 || !isIndex(proof.start) || !isIndex(proof.end) || !Array.isArray(proof.hashes)) {
+        return false
+    }
+
+    // Check that the data has the expected length, and that the range is aligned to whole chunks
+    if (data.length != proof.end - proof.start + 1 || proof.start % chunkSize != 0) {
+        return false
+    }
+
+    // Hash each chunk in the data to get the leaves in the range
+    let level = []
+    for (let i = 0; i < Math.max(data.length, 1); i += chunkSize) {
+        level.push(hashLeaf(data.slice(i, i + chunkSize)))
+    }
+    let first = proof.start / chunkSize
+    let last = first + level.length - 1
+
+    // Number of nodes in the current level of the full tree
+    let count = Math.max(Math.ceil(size / chunkSize), 1)
+    if (last >= count || (last == count - 1) != (proof.end == size - 1)) {
+        return false
+    }
+
+    // Walk the tree from the leaves to the root, adding the sibling nodes from the proof as needed
+    const hashes = proof.hashes.map((hash) => Buffer.from(hash, 'hex'))
+    while (count > 1) {
+        if (first % 2 == 1) {
+            if (!hashes.length) {
+                return false
+            }
+            level.unshift(hashes.shift())
+            first--
+        }
+        if (last % 2 == 0 && last + 1 < count) {
+            if (!hashes.length) {
+                return false
+            }
+            level.push(hashes.shift())
+            last++
+        }
+
+        // Move to the next level
+        level = nextLevel(level)
+        first = Math.floor(first / 2)
+        last = Math.floor(last / 2)
+        count = Math.ceil(count / 2)
+    }
+
+    // All hashes in the proof must have been used
+    if (hashes.length) {
+        return false
+    }
+
+    // Compare the root hash, using a constant-time comparison
+    const expected = Buffer.from(root, 'hex')
+    const computed = computeRoot(size, chunkSize, level[0])
+    return expected.length == computed.length &&
+        crypto.timingSafeEqual(expected, computed)
+}
+
+/**
+ * Calculates the hash of a leaf (a chunk of the file).
+ * @param {Buffer} chunk Chunk of the file
+ * @returns {Buffer} Hash of the leaf
+ */
+function hashLeaf(chunk) {
+    return crypto.createHash('sha256')
+        .update(Buffer.from([0x00]))
+        .update(chunk)
+        .digest()
+}
+
+/**
+ * Computes the next level of the tree, hashing the nodes in pairs.
+ * If the number of nodes is odd, the last one is promoted to the next level unchanged.
+ * @param {Buffer[]} level Nodes in the current level
+ * @returns {Buffer[]} Nodes in the next level
+ */
+function nextLevel(level) {
+    const result = []
+    for (let i = 0; i < level.length; i += 2) {
+        if (i + 1 == level.length) {
+            result.push(level[i])
+        }
+        else {
+            result.push(
+                crypto.createHash('sha256')
+                    .update(Buffer.from([0x01]))
+                    .update(level[i])
+                    .update(level[i + 1])
+                    .digest()
+            )
+        }
+    }
+    return result
+}
+
+/**
+ * Computes the root of the tree from its leaves.
+ * @param {Buffer[]} leaves Leaves of the tree
+ * @returns {Buffer} Root of the tree
+ */
+function treeRoot(leaves) {
+    let level = leaves
+    while (level.length > 1) {
+        level = nextLevel(level)
+    }
+    return level[0]
+}
+
+/**
+ * Computes the root hash of the file, binding the root of the tree to the size of the file and the chunk size.
+ * @param {number} size Size of the file, in bytes
+ * @param {number} chunkSize Size of each chunk, in bytes
+ * @param {Buffer} tree Root of the tree
+ * @returns {Buffer} Root hash of the file
+ */
+function computeRoot(size, chunkSize, tree) {
+    const header = Buffer.alloc(13)
+    header.writeUInt8(0x02, 0)
+    header.writeBigUInt64BE(BigInt(size), 1)
+    header.writeUInt32BE(chunkSize, 9)
+    return crypto.createHash('sha256')
+        .update(header)
+        .update(tree)
+        .digest()
+}
+
+/* Example usage */
+
+const fs = require('fs')
+
+// Wrap in an asynchronous IIFE (Immediately-Invoked Function Expression) because we need to use the await keyword
+;(async function() {
+    // Path of the test file
+    const testFile = '../test-files/alessandro-porri-yl4y4l86gEk-unsplash.jpg'
+
+    // Calculate the Merkle tree of the file, using 16KB chunks
+    // The server stores the manifest, while the client only needs to know the root hash
+    const {root, manifest} = await merkleTreeStream(fs.createReadStream(testFile), 16 * 1024)
+    console.log('Root hash:', root)
+    console.log('Number of chunks:', manifest.leaves.length)
+
+    // The client requests the bytes 100000-150000
+    // The server returns the proof, and the client downloads the range in the proof (which is extended to whole chunks)
+    const proof = createRangeProof(manifest, 100000, 150000)
+    console.log('Range to download:', proof.start, '-', proof.end)
+    console.log('Hashes in the proof:', proof.hashes.length)
+    const data = await readRange(testFile, proof.start, proof.end)
+
+    // The client verifies the data it downloaded, using just the root hash
+    console.log('Range is valid:', verifyRange(root, proof, data))
+
+    // If the data is tampered with, the verification fails
+    data[1234] ^= 0x01
+    console.log('Tampered range is valid:', verifyRange(root, proof, data))
+})()
+
+/*
+Result:
+  Root hash: f6a616a764792ed4f6eba264f54b39a5d03c2c38e5b0793e86d3015d1a68eb1d
+  Number of chunks: 30
+  Range to download: 98304 - 163839
+  Hashes in the proof: 5
+  Range is valid: true
+  Tampered range is valid: false
+*/
+
+/**
+ * Reads a range of bytes from a file.
+ * @param {string} path Path to the file
+ * @param {number} start Offset of the first byte to read
+ * @param {number} end Offset of the last byte to read (inclusive)
+ * @returns {Promise<Buffer>} The data that was read
+ */
+function readRange(path, start, end) {
+    return new Promise((resolve, reject) => {
+        const chunks = []
+        fs.createReadStream(path, {start, end})
+            .on('error', reject)
+            .on('data', (chunk) => chunks.push(chunk))
+            .on('end', () => resolve(Buffer.concat(chunks)))
+    })
+}
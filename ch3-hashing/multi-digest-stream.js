@@ -0,0 +1,81 @@
+// Import the required modules
+const crypto = require('crypto')
+const {Transform} = require('stream')
+
+/**
+ * Creates a Transform stream that passes the data through unchanged, while calculating multiple digests of it in the same pass.
+ * When the stream is finished, it emits the "digests" event with an object containing all the digests, which are also stored in the `digests` property of the stream.
+ * @param {string[]} [algorithms] List of hashing algorithms to use; defaults to SHA-256, SHA-384, SHA-512, SHA3-256, and BLAKE2b-512
+ * @param {'hex'|'base64'|'base64url'} [encoding] Optional encoding to stringify the results in
+ * @returns {Transform & {digests: Record<string, Buffer|string>|null}} A Transform stream. The digests object has the names of the algorithms as keys, and each value is a Buffer if encoding is empty; otherwise, it's a string encoded in the specified encoding.
+ */
+function createMultiDigestStream(algorithms, encoding) {
+    if (!algorithms || !algorithms.length) {
+        algorithms = ['sha256', 'sha384', 'sha512', 'sha3-256', 'blake2b512']
+    }
+
+    // Create one Hash object for each algorithm
+    // This throws right away if an algorithm isn't supported
+    const hashes = algorithms.map((algorithm) => crypto.createHash(algorithm))
+
+    const stream = new Transform({
+        // Invoked for each chunk of data
+        transform(chunk, enc, callback) {
+            // Update all hashes with the chunk, then pass the chunk through unchanged
+            for (const hash of hashes) {
+                hash.update(chunk)
+            }
+            callback(null, chunk)
+        },
+        // Invoked when all data has been written, before the stream ends
+        flush(callback) {
+            // Compute all digests and emit them
+            const digests = {}
+            for (let i = 0; i < algorithms.length; i++) {
+                digests[algorithms[i]] = hashes[i].digest(encoding)
+            }
+            stream.digests = digests
+            stream.emit('digests', digests)
+            callback()
+        }
+    })
+    stream.digests = null
+
+    return stream
+}
+
+/* Example usage */
+
+const fs = require('fs')
+const {pipeline} = require('stream/promises')
+
+// Wrap in an asynchronous IIFE (Immediately-Invoked Function Expression) because we need to use the await keyword
+;(async function() {
+    // Path of the test file
+    const testFile = '../test-files/alessandro-porri-yl4y4l86gEk-unsplash.jpg'
+
+    // Read the file, calculate all digests, and at the same time write it to another destination
+    // In this example we're copying the file to testFile+'.copy', but this could be an upload to a remote server
+    const digestStream = createMultiDigestStream(null, 'hex')
+    digestStream.on('digests', (digests) => {
+        console.log('Digests:', digests)
+    })
+    await pipeline(
+        fs.createReadStream(testFile),
+        digestStream,
+        fs.createWriteStream(testFile + '.copy')
+    )
+    console.log('File was copied')
+})()
+
+/*
+Result:
+  Digests: {
+    sha256: 'c947eb9b8585a85b12977abdc4c56168a945b276f3bad43fa92b03011869389c',
+    sha384: '6966cc2539c7cb3459b786168535db6b1ce35e14c29781eaf969f2de960654558a86b9ed3d4435e210597b0775f3696d',
+    sha512: '84218dc81f88ea0597a7060edb9783621ebe6556431f41dc45d79738abaa5010eb63aad1fe8c8ffb547f1d2b4c8fe7b667a55c8fff120f3be681ff30fe62119f',
+    'sha3-256': '8fe040447e8343264e2f06e56fec24f0faba90546de98290f5cb4e703639b3ae',
+    blake2b512: 'd903c5361d8d0396e4d385bda748ab157932010563e4caffc7c8bd75faa9fbdd3f8e6d2dca4e1334b7f5bab79a2e777454d14046f583d67440efa8cb6819ab1f'
+  }
+  File was copied
+*/
@@ -0,0 +1,386 @@
+// Import the required modules
+const crypto = require('crypto')
+const {promisify} = require('util')
+
+// Import the argon2 module
+// https://www.npmjs.com/package/argon2
+const argon2 = require('argon2')
+
+// Promisify the crypto.scrypt, crypto.pbkdf2 and crypto.randomBytes methods
+const scrypt = promisify(crypto.scrypt)
+const pbkdf2 = promisify(crypto.pbkdf2)
+const randomBytes = promisify(crypto.randomBytes)
+
+/**
+ * Configuration for the password hashing service
+ * @typedef {Object} PasswordsConfig
+ * @property {'argon2id'|'scrypt'|'pbkdf2-sha256'} algorithm Algorithm used to hash new passwords
+ * @property {Record<string, Record<string, number>>} params Parameters for each algorithm
+ * @property {string|null} pepperId ID of the pepper used for new hashes, or null to not use a pepper
+ * @property {Record<string, Buffer>} peppers All peppers, by ID; old peppers must be kept to verify hashes that were created with them
+ */
+/**
+ * Configuration for the service.
+ * The peppers are secret keys that are not stored in the database together with the hashes; in your app, they should be loaded from a secret store or an environment variable.
+ * In this example, the pepper is hardcoded and base64-encoded, so we need to decode it.
+ * @type {PasswordsConfig}
+ */
+const config = {
+    algorithm: 'argon2id',
+    params: {
+        // Parameters for Argon2id; these are the same used by the other examples in this repository
+        // Information on parameter choice can be found in RFC-9106, section 4:
+        // https://datatracker.ietf.org/doc/html/rfc9106#section-4
+        'argon2id': {m: 4096, t: 3, p: 1},
+        // Parameters for scrypt, with the cost factor N stored as its base-2 logarithm (see scrypt-generate.js)
+        'scrypt': {ln: 14, r: 8, p: 1},
+        // Number of iterations for PBKDF2 with SHA-256
+        'pbkdf2-sha256': {i: 600000},
+    },
+    pepperId: '1',
+    peppers: {
+        '1': Buffer.from('nHVh1Bu4kuhGbLC8wtD12ZxHxK9hCpb3JrLBQ6t5QJ8=', 'base64'),
+    },
+}
+
+// Length of the salts and of the hashes, in bytes
+const saltLength = 16
+const hashLength = 32
+
+/**
+ * Required parameters for each algorithm, with their allowed range (inclusive), which are checked when parsing a stored hash.
+ * The bounds prevent a tampered value from making the server use an excessive amount of memory or CPU.
+ * @type {Record<string, Record<string, [number, number]>>}
+ */
+const paramLimits = {
+    // m is in KiB, so the maximum is 1 GiB
+    'argon2id': {m: [8, 1048576], t: [1, 100], p: [1, 16]},
+    'argon2i': {m: [8, 1048576], t: [1, 100], p: [1, 16]},
+    'argon2d': {m: [8, 1048576], t: [1, 100], p: [1, 16]},
+    'scrypt': {ln: [1, 20], r: [1, 16], p: [1, 16]},
+    'pbkdf2-sha256': {i: [1, 10000000]},
+}
+
+// Limits for the lengths of salts and hashes read from the database, in bytes
+// Values shorter than 16 bytes are rejected: in particular, an empty hash would match any password
+const minSaltLength = 16
+const minHashLength = 16
+const maxHashLength = 64
+
+/**
+ * Parsed hash, as stored in the database.
+ * @typedef {Object} ParsedHash
+ * @property {string} algorithm Name of the algorithm, for example "argon2id"
+ * @property {Record<string, number>} params Parameters for the algorithm
+ * @property {string|null} pepperId ID of the pepper used, if any
+ * @property {Buffer} salt Salt
+ * @property {Buffer} hash Hash
+ */
+
+/**
+ * Calculates the hash of a password and returns the string to store in the database.
+ * The result is in the PHC string format, which includes the algorithm and all the parameters needed to verify it later; for example: `$argon2id$v=19$m=4096,t=3,p=1$<salt>$<hash>`
+ * If a pepper is configured, its ID is added to the parameters as "k".
+ * @param {string} password Password to hash
+ * @param {{algorithm?: string}} [options] Optional algorithm to use, which defaults to the one in the configuration
+ * @returns {Promise<string>} The hashed password to store in the database
+ */
+async function hash(password, options) {
+    const algorithm = (options && options.algorithm) || config.algorithm
+    if (!config.params[algorithm]) {
+        throw Error('Unsupported algorithm: ' + algorithm)
+    }
+
+    // Generate a random salt
+    const salt = await randomBytes(saltLength)
+
+    // Parameters for the algorithm, adding the ID of the pepper if we're using one
+    const params = Object.assign({}, config.params[algorithm])
+    const pepperId = config.pepperId
+
+    // Calculate the hash
+    const result = await derive(algorithm, params, pepperId, password, salt, hashLength)
+
+    return format({algorithm, params, pepperId, salt, hash: result})
+}
+
+/**
+ * Verifies a password against a hash stored in the database.
+ * The algorithm is detected from the stored value, which can be generated by any of the supported algorithms. This supports:
+ * - Hashes generated by `hash`
+ * - Argon2 hashes generated by the argon2 module from NPM or by hash-wasm (in the browser), in the "encoded" format
+ * - scrypt hashes generated by scrypt-generate.js, including the legacy format (base64 of salt and hash)
+ * @param {string} stored The hash as retrieved from the database
+ * @param {string} password The password to verify
+ * @returns {Promise<boolean>} Returns true if the password matches
+ */
+async function verify(stored, password) {
+    // Parse the stored value
+    const parsed = parse(stored)
+
+    // Calculate the hash of the password with the same parameters, salt, and pepper
+    const result = await derive(parsed.algorithm, parsed.params, parsed.pepperId, password, parsed.salt, parsed.hash.length)
+
+    // Check if the hashes match, using a constant-time comparison
+    return crypto.timingSafeEqual(result, parsed.hash)
+}
+
+/**
+ * Returns true if the stored hash was not calculated with the algorithm, parameters and pepper that are currently configured.
+ * After a successful login, if this returns true, the app should re-compute the hash of the password and update the value in the database.
+ * @param {string} stored The hash as retrieved from the database
+ * @returns {boolean} Returns true if the password should be re-hashed
+ */
+function needsRehash(stored) {
+    const parsed = parse(stored)
+
+    // Check the algorithm and the pepper
+    if (parsed.algorithm != config.algorithm || parsed.pepperId != config.pepperId) {
+        return true
+    }
+
+    // Check the lengths of the salt and of the hash
+    if (parsed.salt.length != saltLength || parsed.hash.length != hashLength) {
+        return true
+    }
+
+    // Check that all parameters match
+    const params = config.params[config.algorithm]
+    for (const key in params) {
+        if (parsed.params[key] !== params[key]) {
+            return true
+        }
+    }
+    return false
+}
+
+/**
+ * Verifies a password and, if it's correct, migrates the hash to the algorithm, parameters and pepper that are currently configured.
+ * This is meant to be used when users log in, which is the only time the app has the plain-text password.
+ * @param {string} stored The hash as retrieved from the database
+ * @param {string} password The password to verify
+ * @returns {Promise<{valid: boolean, rehashed: string|null}>} Object where `valid` is true if the password matches; `rehashed` is the new value to store in the database, or null if nothing needs to be updated
+ */
+async function verifyAndMigrate(stored, password) {
+    // Verify the password first
+    if (!(await verify(stored, password))) {
+        return {valid: false, rehashed: null}
+    }
+
+    // If the password is correct, re-hash it if needed
+    const rehashed = needsRehash(stored) ?
+        await hash(password) :
+        null
+    return {valid: true, rehashed}
+}
+
+/**
+ * Calculates the raw hash of a password with the given algorithm and parameters.
+ * @param {string} algorithm Name of the algorithm
+ * @param {Record<string, number>} params Parameters for the algorithm
+ * @param {string|null} pepperId ID of the pepper to use, or null
+ * @param {string} password Password to hash
+ * @param {Buffer} salt Salt
+ * @param {number} length Length of the result, in bytes
+ * @returns {Promise<Buffer>} The hash
+ */
+async function derive(algorithm, params, pepperId, password, salt, length) {
+    // If we're using a pepper, first calculate the HMAC-SHA256 of the password with the pepper as key
+    // The result is then hashed with the algorithm as if it were the password
+    let input = Buffer.from(password, 'utf8')
+    if (pepperId) {
+        const pepper = config.peppers[pepperId]
+        if (!pepper) {
+            throw Error('Pepper not found: ' + pepperId)
+        }
+        input = crypto.createHmac('sha256', pepper)
+            .update(input)
+            .digest()
+    }
+
+    switch (algorithm) {
+        case 'argon2id':
+        case 'argon2i':
+        case 'argon2d':
+            return argon2.hash(input, {
+                // Set to return the raw bytes, as we're building the PHC string ourselves
+                raw: true,
+                hashLength: length,
+                salt: salt,
+                type: argon2[algorithm],
+                timeCost: params.t,
+                memoryCost: params.m,
+                parallelism: params.p,
+                version: params.v || 0x13,
+            })
+        case 'scrypt': {
+            // The cost parameter N is stored as its base-2 logarithm
+            // We also need to raise the memory limit, or higher costs would be rejected by Node.js
+            const N = 2 ** params.ln
+            return scrypt(input, salt, length, {
+                N,
+                r: params.r,
+                p: params.p,
+                maxmem: 256 * N * params.r,
+            })
+        }
+        case 'pbkdf2-sha256':
+            return pbkdf2(input, salt, params.i, length, 'sha256')
+        default:
+            throw Error('Unsupported algorithm: ' + algorithm)
+    }
+}
+
+/**
+ * Encodes a hash in the PHC string format.
+ * @param {ParsedHash} parsed The values to encode
+ * @returns {string} The hash in the PHC string format
+ */
+function format(parsed) {
+    // Argon2 hashes include the version of the algorithm, as a separate field
+    let result = '$' + parsed.algorithm
+    if (parsed.algorithm.startsWith('argon2')) {
+        result += '$v=' + (parsed.params.v || 0x13)
+    }
+
+    // Parameters are a comma-separated list of key=value pairs; the pepper ID, if any, is stored as "k"
+    const params = []
+    for (const key in parsed.params) {
+        if (key != 'v') {
+            params.push(key + '=' + parsed.params[key])
+        }
+    }
+    if (parsed.pepperId) {
+        params.push('k=' + parsed.pepperId)
+    }
+    result += '$' + params.join(',')
+
+    // Salt and hash are encoded as base64 without padding
+    result += '$' + parsed.salt.toString('base64').replace(/=+$/, '')
+    result += '$' + parsed.hash.toString('base64').replace(/=+$/, '')
+    return result
+}
+
+/**
+ * Parses a hash stored in the database.
+ * @param {string} stored The hash as retrieved from the database
+ * @returns {ParsedHash} The parsed value
+ * @throws {Error} If the value is not valid, including when the salt or hash are too short, or the parameters are missing or out of bounds
+ */
+function parse(stored) {
+    // Hashes created by scrypt-generate.js before it used the PHC string format are just base64(salt || hash), with a 16-byte salt and a 32-byte hash
+    if (!stored.startsWith('$')) {
+        const buf = Buffer.from(stored, 'base64')
+        if (buf.length < 16 + minHashLength) {
+            throw Error('Invalid hash format')
+        }
+        return {
+            algorithm: 'scrypt',
+            params: {ln: 14, r: 8, p: 1},
+            pepperId: null,
+            salt: buf.slice(0, 16),
+            hash: buf.slice(16),
+        }
+    }
+
+    // Splitting on "$" returns an empty string first, because the value starts with a "$"
+    const parts = stored.split('$')
+    const algorithm = parts[1]
+    const limits = paramLimits[algorithm]
+    if (!limits) {
+        throw Error('Unsupported algorithm: ' + algorithm)
+    }
+    const params = {}
+    let pepperId = null
+
+    // Argon2 hashes have an additional field for the version, which can be 0x10 or 0x13 (19)
+    if (algorithm.startsWith('argon2')) {
+        if (parts.length != 6 || !/^v=(16|19)$/.test(parts[2])) {
+            throw Error('Invalid hash format')
+        }
+        params.v = parseInt(parts[2].slice(2), 10)
+        parts.splice(2, 1)
+    }
+    else if (parts.length != 5) {
+        throw Error('Invalid hash format')
+    }
+
+    // Parse the parameters, which are a comma-separated list of key=value pairs
+    for (const pair of parts[2].split(',')) {
+        const [key, value] = pair.split('=')
+        if (key == 'k') {
+            pepperId = value
+        }
+        else if (Object.prototype.hasOwnProperty.call(limits, key) && /^[0-9]+$/.test(value || '')) {
+            params[key] = parseInt(value, 10)
+        }
+        else {
+            throw Error('Invalid hash parameters')
+        }
+    }
+
+    // Check that all the required parameters are present and within the limits
+    for (const key in limits) {
+        if (!(params[key] >= limits[key][0] && params[key] <= limits[key][1])) {
+            throw Error('Invalid hash parameters')
+        }
+    }
+    // scrypt uses about 128 * N * r bytes of memory, which we limit to 1 GiB
+    if (algorithm == 'scrypt' && 128 * (2 ** params.ln) * params.r > 1024 * 1024 * 1024) {
+        throw Error('Invalid hash parameters')
+    }
+
+    // Check the lengths of the salt and of the hash
+    const salt = Buffer.from(parts[3], 'base64')
+    const hash = Buffer.from(parts[4], 'base64')
+    if (salt.length < minSaltLength || hash.length < minHashLength || hash.length > maxHashLength) {
+        throw Error('Invalid salt or hash length')
+    }
+
+    return {
+        algorithm,
+        params,
+        pepperId,
+        salt,
+        hash,
+    }
+}
+
+/* Example usage */
+
+// Wrap in an asynchronous IIFE (Immediately-Invoked Function Expression) because we need to use the await keyword
+;(async function() {
+    const password = 'correct horse battery staple'
+
+    // Hash a password with each algorithm
+    for (const algorithm of ['argon2id', 'scrypt', 'pbkdf2-sha256']) {
+        const stored = await hash(password, {algorithm})
+        console.log('Hash:', stored)
+        console.log('  Valid:', await verify(stored, password))
+        console.log('  Wrong password:', await verify(stored, 'wrong password'))
+    }
+
+    // Migrate a user whose password was stored with scrypt-generate.js, without a pepper
+    // The app stores the new value in the database when `rehashed` is set
+    const legacy = '$scrypt$ln=14,r=8,p=1$jX+INLzO3KvwE5aFd0Bmqw$h4fQ+HV62X3bh9w5vRfq199odJGiq1b6TyjaJ+W9nYk'
+    const {valid, rehashed} = await verifyAndMigrate(legacy, password)
+    console.log('Legacy hash valid:', valid)
+    console.log('Migrated to:', rehashed)
+    console.log('Migrated hash needs re-hashing:', needsRehash(rehashed))
+})()
+
+/*
+Example result (will be different every time):
+  Hash: $argon2id$v=19$m=4096,t=3,p=1,k=1$Vzo375yfFtkt+d5UioTD+w$IJr25hg4H//6t4ZZjMJc6u2sYb855IFRY/46tQi37Ls
+    Valid: true
+    Wrong password: false
+  Hash: $scrypt$ln=14,r=8,p=1,k=1$TEX0Gm5Np3qOV+biqrcHTw$bmbL7LEVVMf+0dhfVvejjjSehGoNj/b/P5zncOqGFJo
+    Valid: true
+    Wrong password: false
+  Hash: $pbkdf2-sha256$i=600000,k=1$IjBbUr8k8JlcKI2GGsFZmw$fxBMvo1ssEfnPUtZ6/oxlIJSXe8DNtpIDgDCQqgPUsA
+    Valid: true
+    Wrong password: false
+  Legacy hash valid: true
+  Migrated to: $argon2id$v=19$m=4096,t=3,p=1,k=1$sgC/Yv7HC13Ss8qNUIgYnA$qe6sy8dgI8xtCqQGZvD1CqjTDxSMKcUm503uaoJrVyc
+  Migrated hash needs re-hashing: false
+*/
@@ -6,23 +6,58 @@ const {promisify} = require('util')
 const scrypt = promisify(crypto.scrypt)
 const randomBytes = promisify(crypto.randomBytes)
 
+/**
+ * Parameters for scrypt
+ * @typedef {Object} ScryptParams
+ * @property {number} ln Cost factor, as log2(N); for example, 14 means N=16384
+ * @property {number} r Block size
+ * @property {number} p Parallelization factor
+ * @property {number} saltLength Length of the random salt, in bytes
+ * @property {number} keyLength Length of the hash, in bytes
+ */
+/**
+ * Default parameters used when hashing new passphrases.
+ * These are the defaults used by Node.js for N, r and p; you can raise the cost (ln) as hardware gets faster.
+ * @type {ScryptParams}
+ */
+const defaultParams = {
+    ln: 14,
+    r: 8,
+    p: 1,
+    saltLength: 16,
+    keyLength: 32,
+}
+
 /**
  * Calculates the hash of a passphrase using scrypt and returns the string to store in the database.
+ * The result is in the PHC string format, which includes all the parameters needed to verify the hash later: `$scrypt$ln=14,r=8,p=1$<salt>$<hash>`
  * @param {string} passphrase Passphrase to hash
+ * @param {Partial<ScryptParams>} [params] Optional parameters for scrypt; those not set are taken from `defaultParams`
  * @returns {Promise<string>} The hashes passphrase to store in the database.
  */
-async function scryptHash(passphrase) {
-    // Generate a 16-byte random salt
-    const saltLength = 16
+async function scryptHash(passphrase, params) {
+    // Merge the parameters with the default ones
+    const {ln, r, p, saltLength, keyLength} = Object.assign({}, defaultParams, params)
+
+    // Generate a random salt
     const salt = await randomBytes(saltLength)
 
     // Calculate the hash with scrypt
-    const hash = await scrypt(passphrase, salt, 32)
+    // The cost parameter N is stored as its base-2 logarithm
+    // We also need to raise the memory limit, or higher costs would be rejected by Node.js
+    const N = 2 ** ln
+    const hash = await scrypt(passphrase, salt, keyLength, {
+        N,
+        r,
+        p,
+        maxmem: 256 * N * r,
+    })
 
-    // Return the value to store in the database, which contains the salt and the hash and is encoded as base64
-    const stored = Buffer.concat(
-        [salt, hash]
-    ).toString('base64')
+    // Return the value to store in the database, in the PHC string format
+    // Salt and hash are encoded as base64 without padding; their lengths are implied by the encoded values
+    const stored = '$scrypt$ln=' + ln + ',r=' + r + ',p=' + p +
+        '$' + salt.toString('base64').replace(/=+$/, '') +
+        '$' + hash.toString('base64').replace(/=+$/, '')
 
     // For debug purposes only
     console.log('Hash:', hash.toString('hex'))
@@ -38,4 +73,18 @@ async function scryptHash(passphrase) {
     const passphrase = 'correct horse battery staple'
     const stored = await scryptHash(passphrase)
     console.log('Store value:', stored)
+
+    // Hash with a higher cost factor (N = 2^17)
+    const storedStronger = await scryptHash(passphrase, {ln: 17})
+    console.log('Store value (ln=17):', storedStronger)
 })()
+
+/*
+Example result (will be different every time):
+  Hash: 8787d0f8757ad97ddb87dc39bd17ead7df687491a2ab56fa4f28da27e5bd9d89
+  Salt: 8d7f8834bccedcabf0139685774066ab
+  Store value: $scrypt$ln=14,r=8,p=1$jX+INLzO3KvwE5aFd0Bmqw$h4fQ+HV62X3bh9w5vRfq199odJGiq1b6TyjaJ+W9nYk
+  Hash: c7b903876ffc7a219c15b91286d0da1302b8f870c75e1275a6a7e8a197d2ce8f
+  Salt: 37473bcc29b7a6b0fa492cbb439fbc9b
+  Store value (ln=17): $scrypt$ln=17,r=8,p=1$N0c7zCm3prD6SSy7Q5+8mw$x7kDh2/8eiGcFbkShtDaEwK4+HDHXhJ1pqfooZfSzo8
+*/
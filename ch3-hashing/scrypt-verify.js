@@ -5,23 +5,157 @@ const crypto = require('crypto')
 const scrypt = require('util').promisify(crypto.scrypt)
 
 /**
- * 
- * @param {string} stored The hash as retrieved from the database (which contains the salt as prefix)
+ * Parameters for scrypt
+ * @typedef {Object} ScryptParams
+ * @property {number} ln Cost factor, as log2(N); for example, 14 means N=16384
+ * @property {number} r Block size
+ * @property {number} p Parallelization factor
+ * @property {number} saltLength Length of the random salt, in bytes
+ * @property {number} keyLength Length of the hash, in bytes
+ */
+/**
+ * Parameters used by the legacy format, which stored only base64(salt || hash).
+ * These were hard-coded in scryptHash before hashes were stored in the PHC string format.
+ * @type {ScryptParams}
+ */
+const legacyParams = {
+    ln: 14,
+    r: 8,
+    p: 1,
+    saltLength: 16,
+    keyLength: 32,
+}
+
+/**
+ * Limits for the values read from the database, which are checked before deriving the hash.
+ * Salts and hashes shorter than 16 bytes are rejected: in particular, an empty hash would match any passphrase.
+ * The cost parameters are bounded so a tampered value can't make the server use an excessive amount of memory or CPU.
+ */
+const limits = {
+    minSaltLength: 16,
+    minKeyLength: 16,
+    maxKeyLength: 64,
+    maxLn: 20,
+    maxR: 16,
+    maxP: 16,
+    // scrypt uses about 128 * N * r bytes of memory
+    maxMem: 1024 * 1024 * 1024,
+}
+
+/**
+ * Parses a hash retrieved from the database, returning the parameters, the salt, and the hash.
+ * Supports both the PHC string format (`$scrypt$ln=14,r=8,p=1$<salt>$<hash>`) and the legacy format (base64 of the salt followed by the hash).
+ * @param {string} stored The hash as retrieved from the database
+ * @returns {{params: ScryptParams, salt: Buffer, hash: Buffer, legacy: boolean}} The parsed value
+ * @throws {Error} If the value is not valid, including when the salt or hash are too short, or the parameters are out of bounds
+ */
+function parseStored(stored) {
+    // Values in the legacy format don't start with "$"
+    if (!stored.startsWith('$')) {
+        // Decode the stored value from base64. The first 16 bytes which are the salt, the rest is the passphrase
+        // There must be at least a full salt and a hash of 16 bytes after it
+        const buf = Buffer.from(stored, 'base64')
+        if (buf.length < legacyParams.saltLength + limits.minKeyLength) {
+            throw Error('Invalid hash format')
+        }
+        return {
+            params: legacyParams,
+            salt: buf.slice(0, legacyParams.saltLength),
+            hash: buf.slice(legacyParams.saltLength),
+            legacy: true,
+        }
+    }
+
+    // The PHC string format is `$scrypt$<params>$<salt>$<hash>`
+    // Splitting on "$" returns an empty string first, because the value starts with a "$"
+    const parts = stored.split('$')
+    if (parts.length != 5 || parts[1] != 'scrypt') {
+        throw Error('Invalid hash format')
+    }
+
+    // Parameters are a comma-separated list of key=value pairs
+    // All of ln, r, and p are required, and they must be positive integers within the limits
+    const values = {}
+    for (const pair of parts[2].split(',')) {
+        const [key, value] = pair.split('=')
+        if (!/^[0-9]+$/.test(value || '')) {
+            throw Error('Invalid hash parameters')
+        }
+        values[key] = parseInt(value, 10)
+    }
+    if (!(values.ln > 0 && values.ln <= limits.maxLn) ||
+        !(values.r > 0 && values.r <= limits.maxR) ||
+        !(values.p > 0 && values.p <= limits.maxP) ||
+        128 * (2 ** values.ln) * values.r > limits.maxMem) {
+        throw Error('Invalid hash parameters')
+    }
+
+    // Salt and hash are base64-encoded (without padding), and their lengths are the lengths of the decoded values
+    const salt = Buffer.from(parts[3], 'base64')
+    const hash = Buffer.from(parts[4], 'base64')
+    if (salt.length < limits.minSaltLength || hash.length < limits.minKeyLength || hash.length > limits.maxKeyLength) {
+        throw Error('Invalid salt or hash length')
+    }
+    return {
+        params: {
+            ln: values.ln,
+            r: values.r,
+            p: values.p,
+            saltLength: salt.length,
+            keyLength: hash.length,
+        },
+        salt,
+        hash,
+        legacy: false,
+    }
+}
+
+/**
+ * Verifies a passphrase against a hash stored in the database.
+ * @param {string} stored The hash as retrieved from the database, in the PHC string format or in the legacy format (which contains the salt as prefix)
  * @param {string} passphrase The passphrase to verify
  * @returns {Promise<boolean>} Returns true if the passphrase matches
  */
 async function scryptVerify(stored, passphrase) {
-    // Decode the stored value from base64. The first 16 bytes which are the salt, the rest is the passphrase
-    const saltLength = 16
-    const buf = Buffer.from(stored, 'base64')
-    const salt = buf.slice(0, saltLength)
-    const hash = buf.slice(saltLength)
+    // Extract the parameters, the salt, and the hash from the stored value
+    const {params, salt, hash} = parseStored(stored)
 
-    // Calculate the hash of the passphrase with the same salt used in the stored value
-    const verifyHash = await scrypt(passphrase, salt, 32)
+    // Calculate the hash of the passphrase with the same salt and parameters used in the stored value
+    const N = 2 ** params.ln
+    const verifyHash = await scrypt(passphrase, salt, params.keyLength, {
+        N,
+        r: params.r,
+        p: params.p,
+        maxmem: 256 * N * params.r,
+    })
 
     // Check if the hashes match
-    return verifyHash.compare(hash) === 0
+    // We use a constant-time comparison to not leak information about the stored hash through timing
+    // crypto.timingSafeEqual requires both buffers to have the same length
+    return verifyHash.length == hash.length &&
+        crypto.timingSafeEqual(verifyHash, hash)
+}
+
+/**
+ * Returns true if the stored hash was calculated with parameters that are different from the ones in the policy, for example because the cost was raised since.
+ * After a successful login, if this returns true, the app can re-compute the hash of the passphrase (with scryptHash) and update the value in the database.
+ * @param {string} stored The hash as retrieved from the database
+ * @param {ScryptParams} policy The parameters that hashes should be calculated with
+ * @returns {boolean} Returns true if the passphrase should be re-hashed
+ */
+function needsRehash(stored, policy) {
+    const {params, legacy} = parseStored(stored)
+
+    // Values in the legacy format always need to be upgraded to the PHC string format
+    if (legacy) {
+        return true
+    }
+
+    return params.ln != policy.ln ||
+        params.r != policy.r ||
+        params.p != policy.p ||
+        params.saltLength != policy.saltLength ||
+        params.keyLength != policy.keyLength
 }
 
 /* Example usage */
@@ -29,14 +163,42 @@ async function scryptVerify(stored, passphrase) {
 // Wrap in an asynchronous IIFE (Immediately-Invoked Function Expression) because we need to use the await keyword
 ;(async function() {
     // Input
-    const passphrase = '<passphrase from the user>'
-    const stored = '<base64-encoded value retrieved from the database>'
+    const passphrase = 'correct horse battery staple'
+    const stored = '$scrypt$ln=14,r=8,p=1$jX+INLzO3KvwE5aFd0Bmqw$h4fQ+HV62X3bh9w5vRfq199odJGiq1b6TyjaJ+W9nYk'
+
+    // Parameters that hashes should be calculated with
+    // In this example, the cost was raised to ln=17 after the hash above was stored
+    const policy = {
+        ln: 17,
+        r: 8,
+        p: 1,
+        saltLength: 16,
+        keyLength: 32,
+    }
 
     // Check if the passphrase matches
     if (await scryptVerify(stored, passphrase)) {
         console.log(`Passphrases match`)
+
+        // The passphrase is correct, so this is a good time to upgrade the hash if needed
+        if (needsRehash(stored, policy)) {
+            console.log('Hash needs to be re-computed with the new parameters')
+        }
     }
     else {
         console.log(`Passphrases don't match`)
     }
+
+    // Values in the legacy format (base64 of salt and hash) are still accepted
+    const legacyStored = 'jX+INLzO3KvwE5aFd0Bmq4eH0Ph1etl924fcOb0X6tffaHSRoqtW+k8o2iflvZ2J'
+    console.log('Legacy hash matches:', await scryptVerify(legacyStored, passphrase))
+    console.log('Legacy hash needs re-hashing:', needsRehash(legacyStored, policy))
 })()
+
+/*
+Result:
+  Passphrases match
+  Hash needs to be re-computed with the new parameters
+  Legacy hash matches: true
+  Legacy hash needs re-hashing: true
+*/
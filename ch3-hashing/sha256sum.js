@@ -0,0 +1,247 @@
+// Import the required modules
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+
+/**
+ * Calculates the SHA-256 digest of a readable stream.
+ * @param {import('stream').Readable} read Readable stream
+ * @param {'hex'|'base64'|'base64url'} [encoding] Optional encoding to stringify the result in
+ * @returns {Buffer|string} The SHA-256 digest of the message read from the stream. Result is a Buffer if encoding is empty; otherwise, it's a string encoded in the specified encoding.
+ */
+function sha256DigestStream(read, encoding) {
+    // Need to wrap this into a Promise to await on the completion of the stream
+    return new Promise((resolve, reject) => {
+        // Create the object that will compute the hash
+        const hash = crypto.createHash('sha256')
+        // In case of error reading the stream, the promise is rejected with the error
+        read.on('error', (err) => {
+            // Reject the promise with the error
+            reject(err)
+        })
+        // At the end of the stream, compute the hash
+        read.on('end', () => {
+            hash.end()
+            // Resolve the promise with the computed value of the hash
+            resolve(hash.digest(encoding))
+        })
+        // Pipe the message stream into the hash object
+        read.pipe(hash)
+    })
+}
+
+/**
+ * Returns the list of all files in the given paths, recursively walking directories.
+ * Files in each directory are returned sorted by name, so the output is always the same.
+ * @param {string[]} paths List of files and directories
+ * @returns {Promise<string[]>} List of files
+ */
+async function listFiles(paths) {
+    const result = []
+    for (const p of paths) {
+        const stat = await fs.promises.stat(p)
+        if (stat.isDirectory()) {
+            const entries = (await fs.promises.readdir(p)).sort()
+            result.push(...await listFiles(entries.map((name) => path.join(p, name))))
+        }
+        else {
+            result.push(p)
+        }
+    }
+    return result
+}
+
+/**
+ * Formats a line for the checksum file.
+ * Like sha256sum, if the file name contains a backslash or a newline, these are escaped and the line starts with a backslash.
+ * @param {string} file Path to the file
+ * @param {string} digest Hex-encoded SHA-256 digest of the file
+ * @param {boolean} bsd If true, use the BSD format ("SHA256 (file) = digest"); otherwise, use the GNU format ("digest  file")
+ * @returns {string} The line (without a newline at the end)
+ */
+function formatLine(file, digest, bsd) {
+    let prefix = ''
+    if (/[\\\n]/.test(file)) {
+        prefix = '\\'
+        file = file.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')
+    }
+    return bsd ?
+        prefix + 'SHA256 (' + file + ') = ' + digest :
+        prefix + digest + '  ' + file
+}
+
+/**
+ * Parses a line from a checksum file, in either the GNU or the BSD format.
+ * @param {string} line Line to parse
+ * @returns {{file: string, digest: string}|null} The file name and the hex-encoded digest, or null if the line isn't valid
+ */
+function parseLine(line) {
+    // Lines that start with a backslash have escaped file names
+    let escaped = false
+    if (line.startsWith('\\')) {
+        escaped = true
+        line = line.slice(1)
+    }
+
+    // GNU format: the digest, a space, then either a space (text mode) or an asterisk (binary mode), and the file name
+    // BSD format: "SHA256 (file) = digest"
+    let match = line.match(/^([0-9a-fA-F]{64}) [ *](.+)$/)
+    let file, digest
+    if (match) {
+        digest = match[1]
+        file = match[2]
+    }
+    else {
+        match = line.match(/^SHA256 \((.+)\) = ([0-9a-fA-F]{64})$/)
+        if (!match) {
+            return null
+        }
+        file = match[1]
+        digest = match[2]
+    }
+
+    if (escaped) {
+        file = file.replace(/\\(\\|n)/g, (_, c) => c == 'n' ? '\n' : '\\')
+    }
+    return {file, digest: digest.toLowerCase()}
+}
+
+/**
+ * Calculates the checksums of all files in the given paths (walking directories recursively), and writes them to the output stream.
+ * @param {string[]} paths List of files and directories
+ * @param {boolean} bsd If true, use the BSD format
+ * @param {import('stream').Writable} out Stream where to write the checksum file
+ * @returns {Promise<number>} Exit code
+ */
+async function generate(paths, bsd, out) {
+    const files = await listFiles(paths)
+    for (const file of files) {
+        // Files are read as streams, so they are never loaded in memory in full
+        const digest = await sha256DigestStream(fs.createReadStream(file), 'hex')
+        out.write(formatLine(file, digest, bsd) + '\n')
+    }
+    return 0
+}
+
+/**
+ * Verifies all files listed in a checksum file, printing the result for each one.
+ * Like sha256sum, lines that are not valid are skipped with a warning, unless `strict` is set.
+ * @param {string} checksumFile Path to the checksum file
+ * @param {boolean} [strict] If true, lines that are not valid make the check fail
+ * @returns {Promise<number>} Exit code: 0 if all files match, 1 if any file doesn't match or is missing, if the checksum file has no valid lines, or if it has lines that are not valid and `strict` is set
+ */
+async function check(checksumFile, strict) {
+    const content = await fs.promises.readFile(checksumFile, 'utf8')
+    let valid = 0
+    let failed = 0
+    let missing = 0
+    let invalid = 0
+
+    // Checksum files created on Windows can have CRLF line endings
+    for (const line of content.split(/\r?\n/)) {
+        if (!line.trim()) {
+            continue
+        }
+        const entry = parseLine(line)
+        if (!entry) {
+            invalid++
+            continue
+        }
+        valid++
+
+        // Calculate the digest of the file and compare it with the one in the checksum file
+        // Digests are not secret, so a constant-time comparison isn't necessary here
+        let digest
+        try {
+            digest = await sha256DigestStream(fs.createReadStream(entry.file), 'hex')
+        }
+        catch (err) {
+            console.log(entry.file + ': MISSING')
+            missing++
+            continue
+        }
+        if (digest == entry.digest) {
+            console.log(entry.file + ': OK')
+        }
+        else {
+            console.log(entry.file + ': FAILED')
+            failed++
+        }
+    }
+
+    // Print a summary of the warnings on stderr, like sha256sum does
+    if (!valid) {
+        console.error('No properly formatted SHA256 checksum lines found')
+        return 1
+    }
+    if (invalid) {
+        console.error(`WARNING: ${invalid} line(s) are improperly formatted`)
+    }
+    if (missing) {
+        console.error(`WARNING: ${missing} listed file(s) could not be read`)
+    }
+    if (failed) {
+        console.error(`WARNING: ${failed} computed checksum(s) did NOT match`)
+    }
+
+    if (failed || missing || (invalid && strict)) {
+        return 1
+    }
+    return 0
+}
+
+/* Example usage */
+
+/*
+Usage:
+  node sha256sum.js [--tag] <file or directory>... > SHA256SUMS
+  node sha256sum.js --check [--strict] SHA256SUMS
+
+Options:
+  --tag      Write the checksums in the BSD format ("SHA256 (file) = digest")
+  --check    Read checksums from the file and verify them
+  --strict   When checking, fail if the checksum file contains lines that are not valid (by default, they're skipped with a warning)
+
+Exit codes:
+  0  All files were hashed, or all checksums matched
+  1  At least one file didn't match or was missing, the checksum file has no valid lines, or (with --strict) it has lines that are not valid
+  2  Invalid usage
+*/
+
+// Wrap in an asynchronous IIFE (Immediately-Invoked Function Expression) because we need to use the await keyword
+;(async function() {
+    const args = process.argv.slice(2)
+    const bsd = args.includes('--tag')
+    const paths = args.filter((arg) => !arg.startsWith('--'))
+
+    try {
+        if (args.includes('--check')) {
+            // The checksum file is the only argument that isn't an option
+            if (paths.length != 1) {
+                throw Error('Expected exactly one checksum file')
+            }
+            process.exitCode = await check(paths[0], args.includes('--strict'))
+        }
+        else {
+            if (!paths.length) {
+                throw Error('No files to hash')
+            }
+            process.exitCode = await generate(paths, bsd, process.stdout)
+        }
+    }
+    catch (err) {
+        console.error('Error:', err.message)
+        process.exitCode = 2
+    }
+})()
+
+/*
+Example result:
+  $ node sha256sum.js ../test-files > SHA256SUMS
+  $ cat SHA256SUMS
+  688258f48e0e588e39f12ea7899c0063c52d19dd02d14104f5738735e26247c4  ../test-files/.gitignore
+  c947eb9b8585a85b12977abdc4c56168a945b276f3bad43fa92b03011869389c  ../test-files/alessandro-porri-yl4y4l86gEk-unsplash.jpg
+  $ node sha256sum.js --check SHA256SUMS
+  ../test-files/.gitignore: OK
+  ../test-files/alessandro-porri-yl4y4l86gEk-unsplash.jpg: OK
+*/
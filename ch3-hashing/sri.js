@@ -0,0 +1,202 @@
+// Import the required modules
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+
+/**
+ * Calculates the digest of a readable stream.
+ * This is the same as sha256DigestStream in sha2-stream.js, but it allows choosing the hashing function.
+ * @param {import('stream').Readable} read Readable stream
+ * @param {'sha256'|'sha384'|'sha512'} algorithm Hashing function to use
+ * @param {'hex'|'base64'|'base64url'} [encoding] Optional encoding to stringify the result in
+ * @returns {Promise<Buffer|string>} The digest of the message read from the stream. Result is a Buffer if encoding is empty; otherwise, it's a string encoded in the specified encoding.
+ */
+function digestStream(read, algorithm, encoding) {
+    // Need to wrap this into a Promise to await on the completion of the stream
+    return new Promise((resolve, reject) => {
+        // Create the object that will compute the hash
+        const hash = crypto.createHash(algorithm)
+        // In case of error reading the stream, the promise is rejected with the error
+        read.on('error', (err) => {
+            // Reject the promise with the error
+            reject(err)
+        })
+        // Update the hash with every chunk of data read from the stream
+        read.on('data', (chunk) => {
+            hash.update(chunk)
+        })
+        // At the end of the stream, resolve the promise with the computed value of the hash
+        read.on('end', () => {
+            resolve(hash.digest(encoding))
+        })
+    })
+}
+
+/**
+ * Calculates the Subresource Integrity (SRI) value of a file, such as "sha384-<base64-encoded digest>".
+ * @param {string} file Path to the file
+ * @param {'sha256'|'sha384'|'sha512'} [algorithm] Hashing function to use; defaults to SHA-384
+ * @returns {Promise<string>} The integrity value
+ */
+async function fileIntegrity(file, algorithm) {
+    algorithm = algorithm || 'sha384'
+    const digest = await digestStream(fs.createReadStream(file), algorithm, 'base64')
+    return algorithm + '-' + digest
+}
+
+/**
+ * Returns the list of all files in a directory, recursively.
+ * @param {string} dir Path to the directory
+ * @returns {Promise<string[]>} List of files, sorted by name
+ */
+async function listFiles(dir) {
+    const result = []
+    const entries = await fs.promises.readdir(dir, {withFileTypes: true})
+    entries.sort((a, b) => a.name < b.name ? -1 : 1)
+    for (const entry of entries) {
+        const p = path.join(dir, entry.name)
+        if (entry.isDirectory()) {
+            result.push(...await listFiles(p))
+        }
+        else if (entry.isFile()) {
+            result.push(p)
+        }
+    }
+    return result
+}
+
+/**
+ * Scans a build output directory and calculates the integrity value of every JavaScript and CSS file.
+ * @param {string} dir Path to the directory
+ * @returns {Promise<Record<string, string>>} The manifest: keys are the paths of the assets relative to the directory (with forward slashes), and values are the integrity values
+ */
+async function createManifest(dir) {
+    const manifest = {}
+    for (const file of await listFiles(dir)) {
+        if (!/\.(js|mjs|css)$/i.test(file)) {
+            continue
+        }
+        const key = path.relative(dir, file).split(path.sep).join('/')
+        manifest[key] = await fileIntegrity(file)
+    }
+    return manifest
+}
+
+/**
+ * Adds the integrity attribute to all `<script src>` and `<link rel="stylesheet|modulepreload|preload" href>` tags in a HTML document that reference assets in the manifest.
+ * If a tag has an integrity attribute already, it is replaced.
+ * Tags referencing other hosts are not changed.
+ * @param {string} html The HTML document
+ * @param {string} htmlPath Path of the HTML document, relative to the root of the directory (with forward slashes); used to resolve relative URLs
+ * @param {Record<string, string>} manifest The manifest created by createManifest
+ * @returns {string} The updated HTML document
+ */
+function addIntegrityAttributes(html, htmlPath, manifest) {
+    return html.replace(/<(script|link)\b[^>]*>/gi, (tag, name) => {
+        // Get the URL of the asset: "src" for scripts, and "href" for links
+        const attr = name.toLowerCase() == 'script' ? 'src' : 'href'
+        const url = getAttribute(tag, attr)
+        if (!url) {
+            return tag
+        }
+
+        // For links, only stylesheets and preloaded scripts are supported
+        if (attr == 'href' && !/^(stylesheet|modulepreload|preload)$/i.test(getAttribute(tag, 'rel') || '')) {
+            return tag
+        }
+
+        // Resolve the URL relative to the HTML document
+        // URLs with a scheme or a host (e.g. "https://..." or "//...") are not in the build output
+        if (/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(url)) {
+            return tag
+        }
+        const key = path.posix.normalize(
+            url.startsWith('/') ?
+                url.slice(1) :
+                path.posix.join(path.posix.dirname(htmlPath), url)
+        ).replace(/[?#].*$/, '')
+        if (!manifest[key]) {
+            return tag
+        }
+
+        // Remove the existing integrity attribute if any, then add the new one before the end of the tag
+        const stripped = tag.replace(/\s+integrity\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/i, '')
+        return stripped.replace(/\s*(\/?)>$/, ` integrity="${manifest[key]}"$1>`)
+    })
+}
+
+/**
+ * Returns the value of an attribute in a HTML tag.
+ * @param {string} tag The HTML tag
+ * @param {string} name Name of the attribute
+ * @returns {string|null} The value of the attribute, or null if it's not set
+ */
+function getAttribute(tag, name) {
+    const match = tag.match(new RegExp('\\s' + name + '\\s*=\\s*("([^"]*)"|\'([^\']*)\'|([^\\s>]+))', 'i'))
+    if (!match) {
+        return null
+    }
+    return match[2] ?? match[3] ?? match[4]
+}
+
+/**
+ * Creates the manifest for a build output directory, writes it to "sri-manifest.json" in the same directory, and adds the integrity attributes to all HTML files in the directory.
+ * @param {string} dir Path to the directory
+ * @returns {Promise<Record<string, string>>} The manifest
+ */
+async function processDirectory(dir) {
+    const manifest = await createManifest(dir)
+    await fs.promises.writeFile(
+        path.join(dir, 'sri-manifest.json'),
+        JSON.stringify(manifest, null, 2) + '\n'
+    )
+
+    for (const file of await listFiles(dir)) {
+        if (!/\.html?$/i.test(file)) {
+            continue
+        }
+        const htmlPath = path.relative(dir, file).split(path.sep).join('/')
+        const html = await fs.promises.readFile(file, 'utf8')
+        const updated = addIntegrityAttributes(html, htmlPath, manifest)
+        if (updated != html) {
+            await fs.promises.writeFile(file, updated)
+            console.log('Updated', htmlPath)
+        }
+    }
+
+    return manifest
+}
+
+/* Example usage */
+
+/*
+Usage:
+  node sri.js <build output directory>
+*/
+
+// Wrap in an asynchronous IIFE (Immediately-Invoked Function Expression) because we need to use the await keyword
+;(async function() {
+    const dir = process.argv[2]
+    if (!dir) {
+        console.error('Usage: node sri.js <build output directory>')
+        process.exitCode = 2
+        return
+    }
+
+    const manifest = await processDirectory(dir)
+    console.log('Manifest:', manifest)
+})()
+
+/*
+Example result:
+  $ node sri.js dist
+  Updated index.html
+  Manifest: {
+    'assets/app.js': 'sha384-Tc1KWaETWL9ZNn+TiVtHwsBd+yyFv2LCslp7PjwHT5aJCyBwpxnW7xtPA1RdtKbo',
+    'assets/style.css': 'sha384-Srj3L6FZq7QpeHXn0GaTqjmls1fodldGEylfclT47oDEbFcxCG/bX1L0YOkog4Di'
+  }
+
+The HTML file then contains:
+  <script type="module" src="assets/app.js" integrity="sha384-Tc1KWaETWL9ZNn+TiVtHwsBd+yyFv2LCslp7PjwHT5aJCyBwpxnW7xtPA1RdtKbo"></script>
+  <link rel="stylesheet" href="/assets/style.css" integrity="sha384-Srj3L6FZq7QpeHXn0GaTqjmls1fodldGEylfclT47oDEbFcxCG/bX1L0YOkog4Di">
+*/
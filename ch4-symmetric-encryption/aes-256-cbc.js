@@ -48,6 +48,114 @@ function decrypt(key, message) {
     return decrypted.toString('utf8')
 }
 
+/*
+AES-256-CBC on its own offers confidentiality only: a ciphertext that was tampered with decrypts into garbage, and errors in the padding can leak information about the plaintext (padding oracle attacks).
+The functions below add authentication with HMAC-SHA256, using Encrypt-then-MAC in the style of the "A256CBC-HS512" algorithm from RFC 7518 (JWE):
+  - The 512-bit master key is split in two: the first 32 bytes are the key for HMAC-SHA256, and the last 32 bytes are the key for AES-256-CBC
+  - The MAC is computed over: AAD || IV || ciphertext || length of the AAD in bits (8 bytes, uint64 big-endian)
+  - The output is: IV (16 bytes) || ciphertext || MAC (32 bytes)
+  - When decrypting, the MAC is verified in constant time before the ciphertext is decrypted
+This is the same format used by ch7-ch8-browser-cryptography/symmetric-aes-cbc.js, so messages encrypted in Node.js can be decrypted in the browser and vice versa.
+*/
+
+/**
+ * Splits a 512-bit master key into the key for HMAC-SHA256 and the key for AES-256-CBC.
+ * @param {Buffer} masterKey A 512-bit (64 byte) key
+ * @returns {{macKey: Buffer, encKey: Buffer}} The two 256-bit keys
+ */
+function splitKey(masterKey) {
+    if (masterKey.length != 64) {
+        throw Error('Master key must be 64 bytes long')
+    }
+    return {
+        macKey: masterKey.slice(0, 32),
+        encKey: masterKey.slice(32, 64),
+    }
+}
+
+/**
+ * Computes the HMAC-SHA256 of the AAD, the IV and the ciphertext.
+ * @param {Buffer} macKey The 256-bit key for HMAC
+ * @param {Buffer} aad Additional Authenticated Data (can be empty)
+ * @param {Buffer} iv The IV
+ * @param {Buffer} ciphertext The ciphertext
+ * @returns {Buffer} The 32-byte MAC
+ */
+function computeMac(macKey, aad, iv, ciphertext) {
+    // Length of the AAD in bits, as a 64-bit big-endian integer
+    const aadLength = Buffer.alloc(8)
+    aadLength.writeBigUInt64BE(BigInt(aad.length) * 8n)
+
+    return crypto.createHmac('sha256', macKey)
+        .update(aad)
+        .update(iv)
+        .update(ciphertext)
+        .update(aadLength)
+        .digest()
+}
+
+/**
+ * Encrypts the plaintext message using AES-256-CBC, and authenticates it with HMAC-SHA256 (Encrypt-then-MAC)
+ * @param {Buffer} masterKey A 512-bit (64 byte) key
+ * @param {string} plaintext The message to encrypt, as a string
+ * @param {Buffer} [aad] Optional Additional Authenticated Data, which is authenticated but not encrypted
+ * @returns {Promise<Buffer>} The ciphertext (with the IV prepended and the MAC appended)
+ */
+async function encryptAuthenticated(masterKey, plaintext, aad) {
+    const {macKey, encKey} = splitKey(masterKey)
+    aad = aad || Buffer.alloc(0)
+
+    // Encrypt the message with a random IV
+    const iv = await randomBytes(16)
+    const cipher = crypto.createCipheriv('aes-256-cbc', encKey, iv)
+    const encrypted = Buffer.concat([
+        cipher.update(plaintext, 'utf8'),
+        cipher.final()
+    ])
+
+    // Compute the MAC over the ciphertext (and the IV and AAD), and append it
+    const mac = computeMac(macKey, aad, iv, encrypted)
+    return Buffer.concat([iv, encrypted, mac])
+}
+
+/**
+ * Verifies the MAC of the encrypted message, then decrypts it using AES-256-CBC
+ * Throws an error if the message (or the AAD) was tampered with, without attempting to decrypt it
+ * @param {Buffer} masterKey The 512-bit key used to encrypt the message
+ * @param {Buffer} message The ciphertext (with the IV prepended and the MAC appended)
+ * @param {Buffer} [aad] The Additional Authenticated Data that was used when encrypting the message, if any
+ * @returns {string} The decrypted message
+ */
+function decryptAuthenticated(masterKey, message, aad) {
+    const {macKey, encKey} = splitKey(masterKey)
+    aad = aad || Buffer.alloc(0)
+
+    // The first 16 bytes are the IV, the last 32 bytes are the MAC, and the rest is the ciphertext
+    // The ciphertext is at least one block (16 bytes) because of the padding
+    if (message.length < 16 + 16 + 32) {
+        throw Error('Message is too short')
+    }
+    const iv = message.slice(0, 16)
+    const ciphertext = message.slice(16, message.length - 32)
+    const mac = message.slice(message.length - 32)
+
+    // Verify the MAC before doing anything else
+    // Use a constant-time comparison to prevent timing attacks
+    const expected = computeMac(macKey, aad, iv, ciphertext)
+    if (!crypto.timingSafeEqual(mac, expected)) {
+        throw Error('Invalid MAC')
+    }
+
+    // Decrypt the ciphertext
+    const decipher = crypto.createDecipheriv('aes-256-cbc', encKey, iv)
+    const decrypted = Buffer.concat([
+        decipher.update(ciphertext),
+        decipher.final()
+    ])
+
+    return decrypted.toString('utf8')
+}
+
 /* Example usage */
 
 // Wrap in an asynchronous IIFE (Immediately-Invoked Function Expression) because we need to use the await keyword
@@ -68,6 +176,29 @@ function decrypt(key, message) {
     // Decrypt the encrypted message and show the result
     const decrypted = decrypt(key, encrypted)
     console.log('Decrypted message:', decrypted)
+
+    // Authenticated mode, using a 512-bit (64 byte) master key
+    const masterKey = await randomBytes(64)
+    // The AAD is optional; here we're binding the message to a context, such as a record ID
+    const aad = Buffer.from('user:42', 'utf8')
+    const encryptedAuth = await encryptAuthenticated(masterKey, plaintext, aad)
+    console.log('Encrypted message (authenticated):', encryptedAuth.toString('base64'))
+    console.log('Decrypted message (authenticated):', decryptAuthenticated(masterKey, encryptedAuth, aad))
+
+    // Tampering with the ciphertext is detected before decrypting
+    encryptedAuth[20] ^= 1
+    try {
+        decryptAuthenticated(masterKey, encryptedAuth, aad)
+    }
+    catch (err) {
+        console.log('Tampered message:', err.message)
+    }
+
+    // This message was encrypted in the browser by ch7-ch8-browser-cryptography/symmetric-aes-cbc.js, using the same key and AAD
+    // The key is stored here base64-encoded, so we need to decode it
+    const browserKey = Buffer.from('GTXCWnvLwC8XaoDLIM4hf2P0Ne8gdhCl4C/tw+shBYRqZ6V4S36Prorb9ZoXSYifmZ05msqlW5xeQ7KSXYFKzA==', 'base64')
+    const browserMessage = Buffer.from('N3TpGHGfe6I1wCskZ4z7FXas9v2dBSohpQgjkEduM733OLiAWqbK6s9A460UC8UCJuETtVtiQFiRkmqcsEOm9A==', 'base64')
+    console.log('Decrypted message (from the browser):', decryptAuthenticated(browserKey, browserMessage, aad))
 })()
 
 /*
@@ -75,4 +206,8 @@ Example result (will be different every time):
   Key: sicpvpQxtKyJbxleC3nTcB39cAVCgx/f2r3Ut4Fmp/g=
   Encrypted message: QZIptzlPQdX941xU5Qhef2ZGBH06vvPeSuxTn/usACE=
   Decrypted message: Hello world!
+  Encrypted message (authenticated): EFBmN6YSNnxJsgINYUAtGpqtzOqmD1heNdv/A6BMXF0V1F2uJnF6O8jyozyZt9B7iUc98B0CfcZDIgXVNjIZAg==
+  Decrypted message (authenticated): Hello world!
+  Tampered message: Invalid MAC
+  Decrypted message (from the browser): Hello world!
 */
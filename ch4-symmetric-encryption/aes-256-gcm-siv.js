@@ -0,0 +1,353 @@
+// Import the required modules
+const crypto = require('crypto')
+
+// Promisify the randomBytes method
+const randomBytes = require('util').promisify(crypto.randomBytes)
+
+/*
+AES-256-GCM-SIV (RFC 8452) is an AEAD that is resistant to nonce misuse.
+With AES-GCM, using the same nonce twice with the same key is catastrophic: it reveals the XOR of the plaintexts, and it allows an attacker to forge messages.
+With AES-GCM-SIV, if a nonce is repeated, an attacker can only learn whether two messages (encrypted with the same nonce and AAD) are identical.
+
+Node.js doesn't support AES-GCM-SIV natively, so this is built on top of the AES block cipher (using AES-256-ECB on individual blocks):
+  1. A per-message authentication key and encryption key are derived from the key and the nonce
+  2. The tag is computed by encrypting the POLYVAL of the AAD and the plaintext (mixed with the nonce)
+  3. The plaintext is encrypted with AES in counter mode, using the tag as initial counter (this is the "synthetic IV")
+*/
+
+// Error thrown when decryption fails; copied from aes-256-gcm.js
+class AuthenticationError extends Error {
+    constructor(message) {
+        super(message || 'Decryption failed: the ciphertext or the associated data is not authentic')
+        this.name = 'AuthenticationError'
+    }
+}
+
+// Irreducible polynomial for POLYVAL: x^128 + x^127 + x^126 + x^121 + 1
+const polyvalModulus = (1n << 128n) | (1n << 127n) | (1n << 126n) | (1n << 121n) | 1n
+
+/**
+ * Encrypts one or more 16-byte blocks with AES-256, with no chaining (i.e. in ECB mode).
+ * @param {Buffer} key A 256-bit key
+ * @param {Buffer} blocks Data to encrypt; its length must be a multiple of 16
+ * @returns {Buffer} The encrypted blocks
+ */
+function aesEncryptBlocks(key, blocks) {
+    const cipher = crypto.createCipheriv('aes-256-ecb', key, null)
+    cipher.setAutoPadding(false)
+    return Buffer.concat([
+        cipher.update(blocks),
+        cipher.final()
+    ])
+}
+
+/**
+ * Converts a 16-byte block into a field element for POLYVAL (blocks are little-endian).
+ * @param {Buffer} block A 16-byte block
+ * @returns {bigint} The field element
+ */
+function blockToBigInt(block) {
+    return BigInt('0x' + Buffer.from(block).reverse().toString('hex'))
+}
+
+/**
+ * Converts a field element for POLYVAL into a 16-byte block.
+ * @param {bigint} value The field element
+ * @returns {Buffer} The 16-byte block
+ */
+function bigIntToBlock(value) {
+    return Buffer.from(value.toString(16).padStart(32, '0'), 'hex').reverse()
+}
+
+/**
+ * Multiplication in the POLYVAL field: dot(a, b) = a * b * x^-128.
+ * @param {bigint} a First element
+ * @param {bigint} b Second element
+ * @returns {bigint} The result
+ */
+function polyvalDot(a, b) {
+    // Carry-less multiplication
+    let r = 0n
+    for (let i = 0n; i < 128n; i++) {
+        if ((b >> i) & 1n) {
+            r ^= a << i
+        }
+    }
+
+    // Multiply by x^-128, dividing by x 128 times
+    // If the value is not divisible by x, we first add the modulus, which doesn't change its value in the field
+    for (let i = 0; i < 128; i++) {
+        if (r & 1n) {
+            r ^= polyvalModulus
+        }
+        r >>= 1n
+    }
+    return r
+}
+
+/**
+ * Computes POLYVAL, as defined in RFC 8452.
+ * @param {Buffer} h The 16-byte authentication key
+ * @param {Buffer} data The data to authenticate; its length must be a multiple of 16
+ * @returns {Buffer} The 16-byte result
+ */
+function polyval(h, data) {
+    const hValue = blockToBigInt(h)
+    let s = 0n
+    for (let i = 0; i < data.length; i += 16) {
+        s = polyvalDot(s ^ blockToBigInt(data.slice(i, i + 16)), hValue)
+    }
+    return bigIntToBlock(s)
+}
+
+/**
+ * Pads data with zeros to a multiple of 16 bytes.
+ * @param {Buffer} data Data to pad
+ * @returns {Buffer} The padded data
+ */
+function padToBlock(data) {
+    const remainder = data.length % 16
+    return remainder ? Buffer.concat([data, Buffer.alloc(16 - remainder)]) : data
+}
+
+/**
+ * Derives the per-message authentication key and encryption key from the key-generating key and the nonce.
+ * @param {Buffer} key The 256-bit key-generating key
+ * @param {Buffer} nonce The 12-byte nonce
+ * @returns {{authKey: Buffer, encKey: Buffer}} The 128-bit authentication key and the 256-bit encryption key
+ */
+function deriveKeys(key, nonce) {
+    // Encrypt 6 blocks made of a 32-bit little-endian counter followed by the nonce, and keep the first 8 bytes of each
+    const blocks = Buffer.alloc(16 * 6)
+    for (let i = 0; i < 6; i++) {
+        blocks.writeUInt32LE(i, i * 16)
+        nonce.copy(blocks, i * 16 + 4)
+    }
+    const encrypted = aesEncryptBlocks(key, blocks)
+    const halves = []
+    for (let i = 0; i < 6; i++) {
+        halves.push(encrypted.slice(i * 16, i * 16 + 8))
+    }
+    return {
+        authKey: Buffer.concat(halves.slice(0, 2)),
+        encKey: Buffer.concat(halves.slice(2, 6)),
+    }
+}
+
+/**
+ * Computes the tag for a message.
+ * @param {Buffer} authKey The 128-bit authentication key
+ * @param {Buffer} encKey The 256-bit encryption key
+ * @param {Buffer} nonce The 12-byte nonce
+ * @param {Buffer} plaintext The plaintext
+ * @param {Buffer} aad The Additional Authenticated Data (can be empty)
+ * @returns {Buffer} The 16-byte tag
+ */
+function computeTag(authKey, encKey, nonce, plaintext, aad) {
+    // The last block contains the lengths of the AAD and the plaintext, in bits, as 64-bit little-endian integers
+    const lengths = Buffer.alloc(16)
+    lengths.writeBigUInt64LE(BigInt(aad.length) * 8n, 0)
+    lengths.writeBigUInt64LE(BigInt(plaintext.length) * 8n, 8)
+    const s = polyval(authKey, Buffer.concat([padToBlock(aad), padToBlock(plaintext), lengths]))
+
+    // XOR the first 12 bytes with the nonce, clear the most significant bit of the last byte, then encrypt
+    for (let i = 0; i < 12; i++) {
+        s[i] ^= nonce[i]
+    }
+    s[15] &= 0x7f
+    return aesEncryptBlocks(encKey, s)
+}
+
+/**
+ * Encrypts or decrypts data with AES in counter mode, as used by AES-GCM-SIV.
+ * The initial counter block is the tag with the most significant bit of the last byte set, and the first 32 bits are incremented as a little-endian integer.
+ * @param {Buffer} encKey The 256-bit encryption key
+ * @param {Buffer} tag The 16-byte tag
+ * @param {Buffer} data The data to encrypt or decrypt
+ * @returns {Buffer} The result
+ */
+function aesCtr(encKey, tag, data) {
+    const blockCount = Math.ceil(data.length / 16)
+    const counterBlocks = Buffer.alloc(blockCount * 16)
+    const initialCounter = tag.readUInt32LE(0)
+    for (let i = 0; i < blockCount; i++) {
+        tag.copy(counterBlocks, i * 16)
+        counterBlocks[i * 16 + 15] |= 0x80
+        counterBlocks.writeUInt32LE((initialCounter + i) % 0x100000000, i * 16)
+    }
+    const keystream = aesEncryptBlocks(encKey, counterBlocks)
+    const result = Buffer.alloc(data.length)
+    for (let i = 0; i < data.length; i++) {
+        result[i] = data[i] ^ keystream[i]
+    }
+    return result
+}
+
+/**
+ * Encrypts a message with AES-256-GCM-SIV, using the given nonce.
+ * @param {Buffer} key A 256-bit key
+ * @param {Buffer} nonce A 12-byte nonce
+ * @param {Buffer} plaintext The message to encrypt
+ * @param {Buffer} aad The Additional Authenticated Data (can be empty)
+ * @returns {Buffer} The ciphertext with the tag appended, as in RFC 8452
+ */
+function gcmSivSeal(key, nonce, plaintext, aad) {
+    const {authKey, encKey} = deriveKeys(key, nonce)
+    const tag = computeTag(authKey, encKey, nonce, plaintext, aad)
+    return Buffer.concat([aesCtr(encKey, tag, plaintext), tag])
+}
+
+/**
+ * Decrypts a message with AES-256-GCM-SIV, and verifies its tag.
+ * @param {Buffer} key The 256-bit key
+ * @param {Buffer} nonce The 12-byte nonce
+ * @param {Buffer} sealed The ciphertext with the tag appended, as in RFC 8452
+ * @param {Buffer} aad The Additional Authenticated Data (can be empty)
+ * @returns {Buffer} The plaintext
+ * @throws {AuthenticationError} If the tag doesn't match
+ */
+function gcmSivOpen(key, nonce, sealed, aad) {
+    if (sealed.length < 16) {
+        throw Error('Message is too short')
+    }
+    const ciphertext = sealed.slice(0, sealed.length - 16)
+    const tag = sealed.slice(sealed.length - 16)
+
+    // Decrypt the ciphertext, then compute the expected tag over the resulting plaintext
+    const {authKey, encKey} = deriveKeys(key, nonce)
+    const plaintext = aesCtr(encKey, tag, ciphertext)
+    const expected = computeTag(authKey, encKey, nonce, plaintext, aad)
+
+    // Compare the tags in constant time; the plaintext is released only if they match
+    if (!crypto.timingSafeEqual(tag, expected)) {
+        throw new AuthenticationError()
+    }
+    return plaintext
+}
+
+/**
+ * Encrypts the plaintext message using the given key with AES-256-GCM-SIV
+ * @param {Buffer} key A 256-bit key
+ * @param {string} plaintext The message to encrypt, as a string
+ * @param {Buffer|string} [aad] Optional Additional Authenticated Data (AAD), which is authenticated but not encrypted; for example, the ID of the record the message belongs to
+ * @returns {Promise<Buffer>} The ciphertext (with the nonce and authentication tag prepended)
+ */
+async function encrypt(key, plaintext, aad) {
+    // Generate a random nonce
+    // This is 12-byte for AES-GCM-SIV
+    const nonce = await randomBytes(12)
+
+    // Encrypt the message
+    const sealed = gcmSivSeal(key, nonce, Buffer.from(plaintext, 'utf8'), Buffer.from(aad || ''))
+
+    // Prepend the nonce and the authentication tag to the ciphertext
+    // This is the same layout used by aes-256-gcm.js
+    const tag = sealed.slice(sealed.length - 16)
+    const encrypted = sealed.slice(0, sealed.length - 16)
+    return Buffer.concat([nonce, tag, encrypted])
+}
+
+/**
+ * Decrypts the encrypted message using the given key with AES-256-GCM-SIV
+ * @param {Buffer} key The 256-bit key used to encrypt the message
+ * @param {Buffer} message The ciphertext (with the nonce and authentication tag prepended)
+ * @param {Buffer|string} [aad] The Additional Authenticated Data (AAD) that was used when encrypting the message, if any
+ * @returns {string} The decrypted message
+ * @throws {AuthenticationError} If the message was tampered with, or the AAD doesn't match
+ */
+function decrypt(key, message, aad) {
+    // The first 12 bytes in the encrypted message are the nonce
+    // Next 16 bytes are the authentication tag
+    // The rest is the ciphertext
+    const nonce = message.slice(0, 12)
+    const tag = message.slice(12, 28)
+    const ciphertext = message.slice(28)
+
+    // Decrypt the ciphertext
+    const decrypted = gcmSivOpen(key, nonce, Buffer.concat([ciphertext, tag]), Buffer.from(aad || ''))
+
+    return decrypted.toString('utf8')
+}
+
+/* Example usage */
+
+// Wrap in an asynchronous IIFE (Immediately-Invoked Function Expression) because we need to use the await keyword
+;(async () => {
+    // Check the implementation against the test vectors from RFC 8452
+    // POLYVAL (appendix A)
+    const polyvalResult = polyval(
+        Buffer.from('25629347589242761d31f826ba4b757b', 'hex'),
+        Buffer.from('4f4f95668c83dfb6401762bb2d01a262d1a24ddd2721d006bbe45f20d3c9f362', 'hex')
+    )
+    console.log('POLYVAL test vector:', polyvalResult.toString('hex') == 'f7a3b47b846119fae5b7866cf5e5b77e' ? 'OK' : 'FAILED')
+
+    // AEAD_AES_256_GCM_SIV (appendices C.2 and C.3)
+    const vectors = [
+        // [plaintext, AAD, key, nonce, result]
+        ['', '', '0100000000000000000000000000000000000000000000000000000000000000', '030000000000000000000000', '07f5f4169bbf55a8400cd47ea6fd400f'],
+        ['0100000000000000', '', '0100000000000000000000000000000000000000000000000000000000000000', '030000000000000000000000', 'c2ef328e5c71c83b843122130f7364b761e0b97427e3df28'],
+        ['0200000000000000', '01', '0100000000000000000000000000000000000000000000000000000000000000', '030000000000000000000000', '1de22967237a813291213f267e3b452f02d01ae33e4ec854'],
+        // Multiple blocks, with AAD
+        ['0200000000000000000000000000000003000000000000000000000000000000', '01', '0100000000000000000000000000000000000000000000000000000000000000', '030000000000000000000000', '07dad364bfc2b9da89116d7bef6daaaf6f255510aa654f920ac81b94e8bad365aea1bad12702e1965604374aab96dbbc'],
+        ['020000000000000000000000000000000300000000000000000000000000000004000000000000000000000000000000', '01', '0100000000000000000000000000000000000000000000000000000000000000', '030000000000000000000000', 'c67a1f0f567a5198aa1fcc8e3f21314336f7f51ca8b1af61feac35a86416fa47fbca3b5f749cdf564527f2314f42fe2503332742b228c647173616cfd44c54eb'],
+        ['02000000000000000000000000000000030000000000000000000000000000000400000000000000000000000000000005000000000000000000000000000000', '01', '0100000000000000000000000000000000000000000000000000000000000000', '030000000000000000000000', '67fd45e126bfb9a79930c43aad2d36967d3f0e4d217c1e551f59727870beefc98cb933a8fce9de887b1e40799988db1fc3f91880ed405b2dd298318858467c895bde0285037c5de81e5b570a049b62a0'],
+        // Partial blocks in both the plaintext and the AAD
+        ['03000000', '010000000000000000000000', '0100000000000000000000000000000000000000000000000000000000000000', '030000000000000000000000', 'f1ad0784ec5dbf8114d95b0f738c6b9fbb6671a6'],
+        ['030000000000000000000000000000000400', '010000000000000000000000000000000200', '0100000000000000000000000000000000000000000000000000000000000000', '030000000000000000000000', 'c79dda228c3c33480c6d8c6c481056fca016f30a8abc27f2f8446ece82b500b708c3'],
+        // Counter wrap (appendix C.3): the 32-bit counter in the tag overflows, and it must wrap around without carrying into the rest of the block
+        ['000000000000000000000000000000004db923dc793ee6497c76dcc03a98e108', '', '0000000000000000000000000000000000000000000000000000000000000000', '000000000000000000000000', 'f3f80f2cf0cb2dd9c5984fcda908456cc537703b5ba70324a6793a7bf218d3eaffffffff000000000000000000000000'],
+        ['eb3640277c7ffd1303c7a542d02d3e4c0000000000000000', '', '0000000000000000000000000000000000000000000000000000000000000000', '000000000000000000000000', '18ce4f0b8cb4d0cac65fea8f79257b20888e53e72299e56dffffffff000000000000000000000000'],
+    ]
+    for (let i = 0; i < vectors.length; i++) {
+        const [plaintext, aad, key, nonce, expected] = vectors[i].map((v) => Buffer.from(v, 'hex'))
+        const sealed = gcmSivSeal(key, nonce, plaintext, aad)
+        const opened = gcmSivOpen(key, nonce, sealed, aad)
+        const ok = sealed.equals(expected) && opened.equals(plaintext)
+        console.log(`AES-256-GCM-SIV test vector ${i + 1}:`, ok ? 'OK' : 'FAILED')
+    }
+
+    // Message to encrypt
+    const plaintext = 'Hello world!'
+
+    // Key to use
+    // In this case, we're generating a random 256-bit (32 byte) key
+    // We're printing the key (base64-encoded) as example
+    const key = await randomBytes(32)
+    console.log('Key:', key.toString('base64'))
+
+    // Encrypt the message and show the result (base64-encoded)
+    const encrypted = await encrypt(key, plaintext)
+    console.log('Encrypted message:', encrypted.toString('base64'))
+
+    // Decrypt the encrypted message and show the result
+    const decrypted = decrypt(key, encrypted)
+    console.log('Decrypted message:', decrypted)
+
+    // If a nonce is repeated, the only thing that leaks is whether the plaintexts are the same
+    const nonce = await randomBytes(12)
+    const a = gcmSivSeal(key, nonce, Buffer.from('attack at dawn'), Buffer.alloc(0))
+    const b = gcmSivSeal(key, nonce, Buffer.from('attack at dawn'), Buffer.alloc(0))
+    const c = gcmSivSeal(key, nonce, Buffer.from('attack at dusk'), Buffer.alloc(0))
+    console.log('Same nonce, same plaintext, same ciphertext:', a.equals(b))
+    console.log('Same nonce, different plaintext, same ciphertext:', a.equals(c))
+})()
+
+/*
+Example result (will be different every time):
+  POLYVAL test vector: OK
+  AES-256-GCM-SIV test vector 1: OK
+  AES-256-GCM-SIV test vector 2: OK
+  AES-256-GCM-SIV test vector 3: OK
+  AES-256-GCM-SIV test vector 4: OK
+  AES-256-GCM-SIV test vector 5: OK
+  AES-256-GCM-SIV test vector 6: OK
+  AES-256-GCM-SIV test vector 7: OK
+  AES-256-GCM-SIV test vector 8: OK
+  AES-256-GCM-SIV test vector 9: OK
+  AES-256-GCM-SIV test vector 10: OK
+  Key: v+GF6on50c3cKNXG8XiyUe1J9vgskGzS70vGCmYX0vk=
+  Encrypted message: mHZv/tHD5YLRPi9AU8juksAAdE3oW2sX1y4lEubgQ3MMcD/gEfHCrQ==
+  Decrypted message: Hello world!
+  Same nonce, same plaintext, same ciphertext: true
+  Same nonce, different plaintext, same ciphertext: false
+*/
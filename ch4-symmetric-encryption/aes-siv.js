@@ -0,0 +1,333 @@
+// Import the required modules
+const crypto = require('crypto')
+
+// Promisify the randomBytes method
+const randomBytes = require('util').promisify(crypto.randomBytes)
+
+/*
+AES-SIV (RFC 5297) is a deterministic authenticated encryption scheme: encrypting the same plaintext with the same key and associated data always returns the same ciphertext.
+This is useful for encrypted database columns that need to support equality lookups (e.g. "find the user with this email address"): the value to search for is encrypted, and the ciphertext is looked up in the index.
+The downside is that an attacker can see which rows have the same value (and how often each value appears), so it should be used only for columns that need to be searched; the others should be encrypted with a randomized scheme such as AES-GCM.
+
+Node.js doesn't support AES-SIV natively, so this is built on top of the AES block cipher:
+  1. A synthetic IV (V) is computed with S2V, a PRF based on AES-CMAC, over the associated data (a vector of zero or more strings) and the plaintext
+  2. The plaintext is encrypted with AES in counter mode, using V (with two bits cleared) as initial counter
+  3. The output is V followed by the ciphertext; V acts as the authentication tag too
+
+The key is made of two AES keys of the same size: the first one is used for S2V, the second one for CTR. So, AES-SIV with a 512-bit key uses AES-256.
+*/
+
+// Error thrown when decryption fails; copied from aes-256-gcm.js
+class AuthenticationError extends Error {
+    constructor(message) {
+        super(message || 'Decryption failed: the ciphertext or the associated data is not authentic')
+        this.name = 'AuthenticationError'
+    }
+}
+
+// Constants
+const zeroBlock = Buffer.alloc(16)
+
+/**
+ * Returns the name of the AES cipher for a key, for the given mode.
+ * @param {Buffer} key An AES key of 128, 192, or 256 bits
+ * @param {'cbc'|'ctr'} mode Mode
+ * @returns {string} Name of the cipher, such as "aes-256-ctr"
+ */
+function aesCipherName(key, mode) {
+    if (key.length != 16 && key.length != 24 && key.length != 32) {
+        throw Error('Invalid key length')
+    }
+    return 'aes-' + (key.length * 8) + '-' + mode
+}
+
+/**
+ * Multiplies a 16-byte block by x in GF(2^128) (the "dbl" function in RFC 5297).
+ * @param {Buffer} block A 16-byte block
+ * @returns {Buffer} The result
+ */
+function dbl(block) {
+    const result = Buffer.alloc(16)
+    for (let i = 0; i < 15; i++) {
+        result[i] = ((block[i] << 1) | (block[i + 1] >>> 7)) & 0xff
+    }
+    result[15] = (block[15] << 1) & 0xff
+    // If the most significant bit was set, reduce with the polynomial x^128 + x^7 + x^2 + x + 1
+    if (block[0] & 0x80) {
+        result[15] ^= 0x87
+    }
+    return result
+}
+
+/**
+ * XORs two buffers of the same length.
+ * @param {Buffer} a First buffer
+ * @param {Buffer} b Second buffer
+ * @returns {Buffer} The result
+ */
+function xor(a, b) {
+    const result = Buffer.alloc(a.length)
+    for (let i = 0; i < a.length; i++) {
+        result[i] = a[i] ^ b[i]
+    }
+    return result
+}
+
+/**
+ * Computes the AES-CMAC (RFC 4493) of a message.
+ * @param {Buffer} key An AES key of 128, 192, or 256 bits
+ * @param {Buffer} message Message
+ * @returns {Buffer} The 16-byte MAC
+ */
+function cmac(key, message) {
+    // Derive the subkeys K1 and K2 from the encryption of the zero block
+    const l = aesCbc(key, zeroBlock)
+    const k1 = dbl(l)
+    const k2 = dbl(k1)
+
+    // The last block is XOR'd with K1 if it's complete, or padded (with 0x80 followed by zeros) and XOR'd with K2 otherwise
+    const complete = message.length > 0 && message.length % 16 == 0
+    const lastStart = complete ? message.length - 16 : message.length - (message.length % 16)
+    let last = message.slice(lastStart)
+    if (complete) {
+        last = xor(last, k1)
+    }
+    else {
+        last = xor(Buffer.concat([last, Buffer.from([0x80]), Buffer.alloc(15 - last.length)]), k2)
+    }
+
+    // The MAC is the last block of the AES-CBC encryption (with a zero IV) of the message
+    const encrypted = aesCbc(key, Buffer.concat([message.slice(0, lastStart), last]))
+    return encrypted.slice(encrypted.length - 16)
+}
+
+/**
+ * Encrypts the data with AES-CBC, using a zero IV and no padding.
+ * @param {Buffer} key An AES key of 128, 192, or 256 bits
+ * @param {Buffer} data Data to encrypt; its length must be a multiple of 16
+ * @returns {Buffer} The encrypted data
+ */
+function aesCbc(key, data) {
+    const cipher = crypto.createCipheriv(aesCipherName(key, 'cbc'), key, zeroBlock)
+    cipher.setAutoPadding(false)
+    return Buffer.concat([
+        cipher.update(data),
+        cipher.final()
+    ])
+}
+
+/**
+ * S2V function from RFC 5297, which computes the synthetic IV from a vector of strings.
+ * @param {Buffer} key An AES key of 128, 192, or 256 bits
+ * @param {Buffer[]} strings The associated data followed by the plaintext
+ * @returns {Buffer} The 16-byte synthetic IV
+ */
+function s2v(key, strings) {
+    // With no strings, the result is the CMAC of the block "1"
+    if (strings.length == 0) {
+        return cmac(key, Buffer.concat([Buffer.alloc(15), Buffer.from([1])]))
+    }
+
+    let d = cmac(key, zeroBlock)
+    for (const s of strings.slice(0, -1)) {
+        d = xor(dbl(d), cmac(key, s))
+    }
+
+    // The last string is combined with D: if it's at least 16 bytes long, D is XOR'd into its end; otherwise, it's padded and XOR'd with dbl(D)
+    const last = strings[strings.length - 1]
+    let t
+    if (last.length >= 16) {
+        t = Buffer.concat([
+            last.slice(0, last.length - 16),
+            xor(last.slice(last.length - 16), d)
+        ])
+    }
+    else {
+        t = xor(dbl(d), Buffer.concat([last, Buffer.from([0x80]), Buffer.alloc(15 - last.length)]))
+    }
+    return cmac(key, t)
+}
+
+/**
+ * Encrypts or decrypts data with AES-CTR, using the synthetic IV as initial counter.
+ * @param {Buffer} key An AES key of 128, 192, or 256 bits
+ * @param {Buffer} v The synthetic IV
+ * @param {Buffer} data Data to encrypt or decrypt
+ * @returns {Buffer} The result
+ */
+function sivCtr(key, v, data) {
+    // Clear the 31st and 63rd bits (from the right) of the counter, so implementations can use 32- or 64-bit counters without worrying about the carry
+    const q = Buffer.from(v)
+    q[8] &= 0x7f
+    q[12] &= 0x7f
+    const cipher = crypto.createCipheriv(aesCipherName(key, 'ctr'), key, q)
+    return Buffer.concat([
+        cipher.update(data),
+        cipher.final()
+    ])
+}
+
+/**
+ * Encrypts the plaintext with AES-SIV.
+ * @param {Buffer} key A key of 256, 384, or 512 bits, which is made of two AES keys
+ * @param {Buffer} plaintext The message to encrypt
+ * @param {Buffer[]} associatedData Vector of associated data (up to 126 items); for nonce-based encryption, the nonce is the last item
+ * @returns {Buffer} The synthetic IV followed by the ciphertext
+ */
+function sivEncrypt(key, plaintext, associatedData) {
+    const {macKey, encKey} = splitKey(key, associatedData)
+    const v = s2v(macKey, [...associatedData, plaintext])
+    return Buffer.concat([v, sivCtr(encKey, v, plaintext)])
+}
+
+/**
+ * Decrypts a message encrypted with AES-SIV.
+ * @param {Buffer} key The key used to encrypt the message
+ * @param {Buffer} sealed The synthetic IV followed by the ciphertext
+ * @param {Buffer[]} associatedData Vector of associated data used when encrypting the message
+ * @returns {Buffer} The decrypted message
+ * @throws {AuthenticationError} If the message was tampered with, or the associated data doesn't match
+ */
+function sivDecrypt(key, sealed, associatedData) {
+    const {macKey, encKey} = splitKey(key, associatedData)
+    if (sealed.length < 16) {
+        throw Error('Message is too short')
+    }
+    const v = sealed.slice(0, 16)
+    const plaintext = sivCtr(encKey, v, sealed.slice(16))
+
+    // Compute the synthetic IV again from the decrypted plaintext, and check that it matches (in constant time)
+    const expected = s2v(macKey, [...associatedData, plaintext])
+    if (!crypto.timingSafeEqual(v, expected)) {
+        throw new AuthenticationError()
+    }
+    return plaintext
+}
+
+/**
+ * Splits the AES-SIV key into the key for S2V and the key for CTR, and checks the size of the associated data vector.
+ * @param {Buffer} key A key of 256, 384, or 512 bits
+ * @param {Buffer[]} associatedData Vector of associated data
+ * @returns {{macKey: Buffer, encKey: Buffer}} The two AES keys
+ */
+function splitKey(key, associatedData) {
+    if (key.length != 32 && key.length != 48 && key.length != 64) {
+        throw Error('Invalid key length')
+    }
+    // S2V supports up to 127 strings, and one of them is the plaintext
+    if (associatedData.length > 126) {
+        throw Error('Too many items in the associated data')
+    }
+    return {
+        macKey: key.slice(0, key.length / 2),
+        encKey: key.slice(key.length / 2),
+    }
+}
+
+/**
+ * Encrypts the plaintext message deterministically with AES-SIV.
+ * The same message encrypted with the same key and associated data always returns the same ciphertext.
+ * @param {Buffer} key A 512-bit key (two AES-256 keys)
+ * @param {string} plaintext The message to encrypt, as a string
+ * @param {Array<Buffer|string>} [ad] Optional associated data, as a list of items which are authenticated but not encrypted; for example, the name of the table and column
+ * @returns {Buffer} The ciphertext (with the synthetic IV prepended)
+ */
+function encrypt(key, plaintext, ad) {
+    return sivEncrypt(key, Buffer.from(plaintext, 'utf8'), (ad || []).map((item) => Buffer.from(item)))
+}
+
+/**
+ * Decrypts a message encrypted with AES-SIV.
+ * @param {Buffer} key The 512-bit key used to encrypt the message
+ * @param {Buffer} message The ciphertext (with the synthetic IV prepended)
+ * @param {Array<Buffer|string>} [ad] The associated data that was used when encrypting the message, if any
+ * @returns {string} The decrypted message
+ * @throws {AuthenticationError} If the message was tampered with, or the associated data doesn't match
+ */
+function decrypt(key, message, ad) {
+    return sivDecrypt(key, message, (ad || []).map((item) => Buffer.from(item))).toString('utf8')
+}
+
+/* Example usage */
+
+// Wrap in an asynchronous IIFE (Immediately-Invoked Function Expression) because we need to use the await keyword
+;(async () => {
+    // Check the implementation against the test vectors from RFC 5297
+    // Deterministic authenticated encryption (appendix A.1)
+    const vector1 = sivEncrypt(
+        Buffer.from('fffefdfcfbfaf9f8f7f6f5f4f3f2f1f0f0f1f2f3f4f5f6f7f8f9fafbfcfdfeff', 'hex'),
+        Buffer.from('112233445566778899aabbccddee', 'hex'),
+        [Buffer.from('101112131415161718191a1b1c1d1e1f2021222324252627', 'hex')]
+    )
+    console.log('AES-SIV test vector A.1:', vector1.toString('hex') == '85632d07c6e8f37f950acd320a2ecc9340c02b9690c4dc04daef7f6afe5c' ? 'OK' : 'FAILED')
+
+    // Nonce-based authenticated encryption (appendix A.2), with two items of associated data and a nonce
+    const vector2Key = Buffer.from('7f7e7d7c7b7a79787776757473727170404142434445464748494a4b4c4d4e4f', 'hex')
+    const vector2Ad = [
+        Buffer.from('00112233445566778899aabbccddeeffdeaddadadeaddadaffeeddccbbaa99887766554433221100', 'hex'),
+        Buffer.from('102030405060708090a0', 'hex'),
+        Buffer.from('09f911029d74e35bd84156c5635688c0', 'hex'),
+    ]
+    const vector2 = sivEncrypt(
+        vector2Key,
+        Buffer.from('7468697320697320736f6d6520706c61696e7465787420746f20656e6372797074207573696e67205349562d414553', 'hex'),
+        vector2Ad
+    )
+    const vector2Expected = '7bdb6e3b432667eb06f4d14bff2fbd0fcb900f2fddbe404326601965c889bf17' +
+        'dba77ceb094fa663b7a3f748ba8af829ea64ad544a272e9c485b62a3fd5c0d'
+    console.log('AES-SIV test vector A.2:', vector2.toString('hex') == vector2Expected ? 'OK' : 'FAILED')
+    console.log('AES-SIV test vector A.2 (decrypt):', sivDecrypt(vector2Key, vector2, vector2Ad).toString('utf8'))
+
+    // Key to use
+    // In this case, we're generating a random 512-bit (64 byte) key, which is used as two AES-256 keys
+    // We're printing the key (base64-encoded) as example
+    const key = await randomBytes(64)
+    console.log('Key:', key.toString('base64'))
+
+    // Encrypt the email addresses in a column of a table
+    // The name of the table and column are used as associated data, so values can't be moved to other columns
+    // Unlike with randomized encryption, we can't include the ID of the record, or equal values would have different ciphertexts
+    const ad = ['users', 'email']
+    const rows = [
+        {id: 1, email: encrypt(key, 'alice@example.com', ad)},
+        {id: 2, email: encrypt(key, 'bob@example.com', ad)},
+        {id: 3, email: encrypt(key, 'alice@example.com', ad)},
+    ]
+    for (const row of rows) {
+        console.log('Row ' + row.id + ':', row.email.toString('base64'))
+    }
+
+    // To find the rows with a given email address, encrypt it and look up the ciphertext (e.g. with an index in the database)
+    const query = encrypt(key, 'alice@example.com', ad)
+    console.log('Rows matching alice@example.com:', rows.filter((row) => row.email.equals(query)).map((row) => row.id))
+
+    // Decrypt a value
+    console.log('Decrypted row 2:', decrypt(key, rows[1].email, ad))
+
+    // Decrypting with different associated data (e.g. if the value was copied to another column) fails
+    try {
+        decrypt(key, rows[1].email, ['users', 'name'])
+    }
+    catch (err) {
+        if (err instanceof AuthenticationError) {
+            console.log('Decrypting with the wrong associated data failed:', err.message)
+        }
+        else {
+            throw err
+        }
+    }
+})()
+
+/*
+Example result (will be different every time):
+  AES-SIV test vector A.1: OK
+  AES-SIV test vector A.2: OK
+  AES-SIV test vector A.2 (decrypt): this is some plaintext to encrypt using SIV-AES
+  Key: Vz/Z3m1mHhYWrWNBRJsVo58MLUcxnw6IaG0yD+uC9yxnNzzpiQZPZmD81OgaaheOqn7LNpsu36uWjvQgXGGlBA==
+  Row 1: JGH8l+dRHDM0AGgxozcIu3aSbtgPUA/uyBgGdWo5LeEF
+  Row 2: 39j20cgpDN225YFjJeApYfmMU9f8j4arwx1gopE50w==
+  Row 3: JGH8l+dRHDM0AGgxozcIu3aSbtgPUA/uyBgGdWo5LeEF
+  Rows matching alice@example.com: [ 1, 3 ]
+  Decrypted row 2: bob@example.com
+  Decrypting with the wrong associated data failed: Decryption failed: the ciphertext or the associated data is not authentic
+*/
@@ -1,99 +1,426 @@
 // Import the required modules
 const crypto = require('crypto')
+const fs = require('fs')
+const {Readable, Transform} = require('stream')
+const {pipeline} = require('stream/promises')
 
 // Promisify the randomBytes method
 const randomBytes = require('util').promisify(crypto.randomBytes)
 
+/*
+Format of the encrypted stream:
+
+The data is split into chunks of fixed size (the last one can be shorter, or even empty), and each chunk is encrypted separately with AES-256-GCM or ChaCha20-Poly1305, using the STREAM construction.
+AES-256-GCM is faster on CPUs with hardware AES instructions (most x86 and recent ARM CPUs); ChaCha20-Poly1305 is faster (and safer against timing attacks) on CPUs without them, such as some ARM devices. Both use 12-byte nonces and 16-byte tags, so the layout is the same, and the algorithm is chosen when encrypting and read from the header when decrypting.
+This way, the decryption can write out each chunk only after its authentication tag has been verified, and it never needs to keep the whole stream in memory.
+
+The stream begins with a 13-byte header:
+  - Version (1 byte): 0x01
+  - Algorithm (1 byte): 0x01 for AES-256-GCM, 0x02 for ChaCha20-Poly1305
+  - Chunk size (4 bytes, uint32 big-endian): size of each plaintext chunk, in bytes
+  - Nonce prefix (7 bytes): random value, unique for each stream
+Then, for each chunk, the ciphertext followed by its 16-byte authentication tag.
+
+The 12-byte nonce for each chunk is: nonce prefix (7 bytes) || chunk counter (4 bytes, uint32 big-endian) || last-chunk flag (1 byte: 0x01 for the last chunk, 0x00 otherwise).
+The header is used as Additional Authenticated Data (AAD) for every chunk, so it can't be modified.
+Optionally, more AAD can be provided by the caller (for example, the name of the file or the ID of the user who owns it): it's appended to the header in the AAD of every chunk, and it's not stored in the encrypted stream, so the same value must be provided when decrypting.
+Because chunks have a counter and the last one is flagged, an attacker can't re-order, remove, or truncate chunks without the decryption failing.
+
+Because all chunks (except the last one) have the same size, chunk i starts at offset 13 + i * (chunk size + 16) in the encrypted file: this allows decrypting any range of bytes by reading and authenticating only the chunks that contain it (see createDecryptReadStream).
+*/
+
+// Constants for the format
+const version = 0x01
+const headerLength = 13
+const noncePrefixLength = 7
+const tagLength = 16
+const defaultChunkSize = 64 * 1024
+
+// Largest chunk size that is accepted, so a malicious header can't make the decryption allocate (or buffer) too much memory
+const maxChunkSize = 16 * 1024 * 1024
+
+/**
+ * Supported algorithms, by name, with the ID that is stored in the header.
+ * @type {Record<string, {id: number}>}
+ */
+const algorithms = {
+    'aes-256-gcm': {id: 0x01},
+    'chacha20-poly1305': {id: 0x02},
+}
+
+// Error thrown when decryption fails; copied from aes-256-gcm.js
+class AuthenticationError extends Error {
+    constructor(message) {
+        super(message || 'Decryption failed: the ciphertext or the associated data is not authentic')
+        this.name = 'AuthenticationError'
+    }
+}
+
+/**
+ * Returns the nonce for a chunk.
+ * @param {Buffer} noncePrefix Nonce prefix from the header
+ * @param {number} counter Index of the chunk
+ * @param {boolean} last True if this is the last chunk
+ * @returns {Buffer} The 12-byte nonce
+ */
+function chunkNonce(noncePrefix, counter, last) {
+    if (counter > 0xFFFFFFFF) {
+        throw Error('Stream is too long')
+    }
+    const nonce = Buffer.alloc(12)
+    noncePrefix.copy(nonce, 0)
+    nonce.writeUInt32BE(counter, noncePrefixLength)
+    nonce[11] = last ? 0x01 : 0x00
+    return nonce
+}
+
+/**
+ * Returns the name of the algorithm from the header, checking that the format is supported.
+ * @param {Buffer} header Header of the stream
+ * @returns {string} Name of the algorithm
+ */
+function headerAlgorithm(header) {
+    const algorithm = Object.keys(algorithms).find((name) => algorithms[name].id == header[1])
+    if (header[0] != version || !algorithm) {
+        throw Error('Unsupported format')
+    }
+    return algorithm
+}
+
+/**
+ * Reads the chunk size from the header of a stream, checking that it's within the limits.
+ * @param {Buffer} header Header of the stream
+ * @returns {number} Size of each chunk, in bytes
+ */
+function headerChunkSize(header) {
+    const chunkSize = header.readUInt32BE(2)
+    if (chunkSize < 1 || chunkSize > maxChunkSize) {
+        throw Error('Invalid chunk size: ' + chunkSize)
+    }
+    return chunkSize
+}
+
+/**
+ * Encrypts a chunk with the algorithm in the header.
+ * @param {Buffer} key The 256-bit key
+ * @param {Buffer} header Header of the stream
+ * @param {Buffer} aad Additional Authenticated Data from the caller (can be empty); the AAD of the chunk is the header followed by this
+ * @param {number} counter Index of the chunk
+ * @param {boolean} last True if this is the last chunk
+ * @param {Buffer} chunk Plaintext
+ * @returns {Buffer} The ciphertext, with the authentication tag appended
+ */
+function encryptChunk(key, header, aad, counter, last, chunk) {
+    const nonce = chunkNonce(header.slice(headerLength - noncePrefixLength), counter, last)
+    const cipher = crypto.createCipheriv(headerAlgorithm(header), key, nonce, {authTagLength: tagLength})
+    cipher.setAAD(Buffer.concat([header, aad]))
+    return Buffer.concat([
+        cipher.update(chunk),
+        cipher.final(),
+        cipher.getAuthTag()
+    ])
+}
+
+/**
+ * Decrypts a chunk with the algorithm in the header, verifying its authentication tag.
+ * @param {Buffer} key The 256-bit key
+ * @param {Buffer} header Header of the stream
+ * @param {Buffer} aad Additional Authenticated Data from the caller (can be empty); the AAD of the chunk is the header followed by this
+ * @param {number} counter Index of the chunk
+ * @param {boolean} last True if this is the last chunk
+ * @param {Buffer} chunk Ciphertext, with the authentication tag appended
+ * @returns {Buffer} The plaintext
+ * @throws {AuthenticationError} If the chunk is not authentic
+ */
+function decryptChunk(key, header, aad, counter, last, chunk) {
+    if (chunk.length < tagLength) {
+        throw Error('Encrypted stream is truncated')
+    }
+    const nonce = chunkNonce(header.slice(headerLength - noncePrefixLength), counter, last)
+    const decipher = crypto.createDecipheriv(headerAlgorithm(header), key, nonce, {authTagLength: tagLength})
+    decipher.setAAD(Buffer.concat([header, aad]))
+    decipher.setAuthTag(chunk.slice(chunk.length - tagLength))
+    // decipher.final() throws if the authentication tag doesn't match, so the result is returned only if the chunk is authentic
+    try {
+        return Buffer.concat([
+            decipher.update(chunk.slice(0, chunk.length - tagLength)),
+            decipher.final()
+        ])
+    }
+    catch (err) {
+        throw new AuthenticationError()
+    }
+}
+
 /**
- * Encrypts a stream using the given key, using AES-256-GCM.
+ * Creates a Transform stream that encrypts data using the given key, using AES-256-GCM or ChaCha20-Poly1305.
+ * The output is a self-contained encrypted stream, including the header and the authentication tags.
+ * @param {Buffer} key The 256-bit key used to encrypt the message
+ * @param {number} [chunkSize] Size of each chunk, in bytes; defaults to 64KB, and can be up to 16MB
+ * @param {Buffer|string} [aad] Optional Additional Authenticated Data (AAD), which is authenticated but not encrypted
+ * @param {'aes-256-gcm'|'chacha20-poly1305'} [algorithm] Algorithm to use; defaults to 'aes-256-gcm'
+ * @returns {Promise<Transform>} A Transform stream: write the plaintext to it, and read the ciphertext from it
+ */
+async function createEncryptStream(key, chunkSize, aad, algorithm) {
+    chunkSize = chunkSize || defaultChunkSize
+    aad = Buffer.from(aad || '')
+    algorithm = algorithm || 'aes-256-gcm'
+    if (!algorithms[algorithm]) {
+        throw Error('Unsupported algorithm: ' + algorithm)
+    }
+    if (!Number.isInteger(chunkSize) || chunkSize < 1 || chunkSize > maxChunkSize) {
+        throw Error('Invalid chunk size: ' + chunkSize)
+    }
+
+    // Build the header, which includes a random nonce prefix
+    const header = Buffer.alloc(headerLength)
+    header[0] = version
+    header[1] = algorithms[algorithm].id
+    header.writeUInt32BE(chunkSize, 2)
+    const noncePrefix = await randomBytes(noncePrefixLength)
+    noncePrefix.copy(header, headerLength - noncePrefixLength)
+
+    // Data that hasn't filled a whole chunk yet, and index of the next chunk
+    let pending = Buffer.alloc(0)
+    let counter = 0
+
+    return new Transform({
+        construct(callback) {
+            // Write the header first
+            this.push(header)
+            callback()
+        },
+        transform(data, enc, callback) {
+            pending = Buffer.concat([pending, data])
+            try {
+                // Encrypt all chunks that are complete
+                // We always keep at least one byte in pending, because we don't know yet if the chunk is the last one
+                while (pending.length > chunkSize) {
+                    this.push(encryptChunk(key, header, aad, counter++, false, pending.slice(0, chunkSize)))
+                    pending = pending.slice(chunkSize)
+                }
+            }
+            catch (err) {
+                return callback(err)
+            }
+            callback()
+        },
+        flush(callback) {
+            // Encrypt the last chunk, which may be empty
+            try {
+                this.push(encryptChunk(key, header, aad, counter++, true, pending))
+            }
+            catch (err) {
+                return callback(err)
+            }
+            callback()
+        }
+    })
+}
+
+/**
+ * Creates a Transform stream that decrypts data using the given key.
+ * The algorithm is read from the header, so this works with streams encrypted with either AES-256-GCM or ChaCha20-Poly1305.
+ * Each chunk is written out only after its authentication tag is verified; if any verification fails, the stream emits an error.
+ * @param {Buffer} key The 256-bit key used to encrypt the message
+ * @param {Buffer|string} [aad] The Additional Authenticated Data (AAD) that was used when encrypting the stream, if any
+ * @returns {Transform} A Transform stream: write the ciphertext to it, and read the plaintext from it
+ */
+function createDecryptStream(key, aad) {
+    aad = Buffer.from(aad || '')
+    let header = null
+    let chunkSize = 0
+    let pending = Buffer.alloc(0)
+    let counter = 0
+
+    return new Transform({
+        transform(data, enc, callback) {
+            pending = Buffer.concat([pending, data])
+            try {
+                // Read the header first
+                if (!header) {
+                    if (pending.length < headerLength) {
+                        return callback()
+                    }
+                    header = pending.slice(0, headerLength)
+                    pending = pending.slice(headerLength)
+                    headerAlgorithm(header)
+                    chunkSize = headerChunkSize(header)
+                }
+
+                // Decrypt all chunks that are complete
+                // Like when encrypting, we need to keep some data in pending to know if a chunk is the last one
+                while (pending.length > chunkSize + tagLength) {
+                    this.push(decryptChunk(key, header, aad, counter++, false, pending.slice(0, chunkSize + tagLength)))
+                    pending = pending.slice(chunkSize + tagLength)
+                }
+            }
+            catch (err) {
+                return callback(err)
+            }
+            callback()
+        },
+        flush(callback) {
+            // Decrypt the last chunk
+            // If the stream was truncated, this fails because the chunk isn't flagged as the last one
+            try {
+                if (!header) {
+                    throw Error('Encrypted stream is truncated')
+                }
+                this.push(decryptChunk(key, header, aad, counter++, true, pending))
+            }
+            catch (err) {
+                return callback(err)
+            }
+            callback()
+        }
+    })
+}
+
+/**
+ * Reads the header of an encrypted file, and computes the position of the chunks.
+ * @param {import('fs').promises.FileHandle} file Encrypted file, opened for reading
+ * @returns {Promise<{header: Buffer, chunkSize: number, chunkCount: number, size: number}>} The header, the size of each chunk, the number of chunks, and the size of the plaintext
+ */
+async function readLayout(file) {
+    const header = Buffer.alloc(headerLength)
+    const {bytesRead} = await file.read(header, 0, headerLength, 0)
+    if (bytesRead < headerLength) {
+        throw Error('Encrypted stream is truncated')
+    }
+    headerAlgorithm(header)
+    const chunkSize = headerChunkSize(header)
+
+    // Each chunk is followed by its tag, and there's always at least one chunk (which is empty if the plaintext is empty)
+    // The last chunk can be shorter than the others, but it must contain at least the tag
+    const dataLength = (await file.stat()).size - headerLength
+    const chunkCount = Math.max(1, Math.ceil(dataLength / (chunkSize + tagLength)))
+    const lastChunkLength = dataLength - (chunkCount - 1) * (chunkSize + tagLength)
+    if (lastChunkLength < tagLength) {
+        throw Error('Encrypted stream is truncated')
+    }
+
+    return {
+        header,
+        chunkSize,
+        chunkCount,
+        size: dataLength - chunkCount * tagLength,
+    }
+}
+
+/**
+ * Returns the size of the plaintext in an encrypted file, without decrypting it.
+ * This is useful for example to respond to HTTP Range requests (for the Content-Range header).
+ * Note that the size is computed from the size of the encrypted file, and it's authenticated only when the last chunk is decrypted.
+ * @param {string} path Path to the encrypted file
+ * @returns {Promise<number>} Size of the plaintext, in bytes
+ */
+async function getDecryptedSize(path) {
+    const file = await fs.promises.open(path, 'r')
+    try {
+        return (await readLayout(file)).size
+    }
+    finally {
+        await file.close()
+    }
+}
+
+/**
+ * Creates a Readable stream that returns a range of bytes from an encrypted file, decrypting only the chunks that contain it.
+ * Each chunk that is read is authenticated before any data from it is returned; if any verification fails, the stream emits an error.
+ * @param {string} path Path to the encrypted file
+ * @param {Buffer} key The 256-bit key used to encrypt the file
+ * @param {{start?: number, end?: number, aad?: Buffer|string}} [options] Like in fs.createReadStream, start and end are the positions of the first and last byte (inclusive) in the plaintext; aad is the Additional Authenticated Data that was used when encrypting the file, if any
+ * @returns {Readable} A Readable stream with the plaintext in the range
+ * @throws {Error} If start or end are not non-negative integers, or if start is greater than end
+ */
+function createDecryptReadStream(path, key, options) {
+    options = options || {}
+    const aad = Buffer.from(options.aad || '')
+    for (const name of ['start', 'end']) {
+        const value = options[name]
+        if (value !== undefined && !(Number.isSafeInteger(value) && value >= 0)) {
+            throw Error('Invalid ' + name + ': ' + value)
+        }
+    }
+    if (options.start !== undefined && options.end !== undefined && options.start > options.end) {
+        throw Error('Invalid range: start is greater than end')
+    }
+
+    async function* read() {
+        const file = await fs.promises.open(path, 'r')
+        try {
+            const {header, chunkSize, chunkCount, size} = await readLayout(file)
+
+            // Limit the range to the size of the plaintext
+            // If the range starts after the end of the plaintext, the stream is empty
+            const start = options.start || 0
+            const end = Math.min(options.end === undefined ? Infinity : options.end, size - 1)
+            if (start > end) {
+                return
+            }
+
+            // Read and decrypt only the chunks that contain the range
+            const firstChunk = Math.floor(start / chunkSize)
+            const lastChunk = Math.floor(end / chunkSize)
+            for (let i = firstChunk; i <= lastChunk; i++) {
+                const last = i == chunkCount - 1
+                const encryptedLength = last ?
+                    (size - i * chunkSize) + tagLength :
+                    chunkSize + tagLength
+                const encrypted = Buffer.alloc(encryptedLength)
+                const {bytesRead} = await file.read(encrypted, 0, encryptedLength, headerLength + i * (chunkSize + tagLength))
+                if (bytesRead < encryptedLength) {
+                    throw Error('Encrypted stream is truncated')
+                }
+                const chunk = decryptChunk(key, header, aad, i, last, encrypted)
+
+                // Return only the part of the chunk that is in the range
+                const chunkStart = i * chunkSize
+                yield chunk.slice(Math.max(start - chunkStart, 0), end - chunkStart + 1)
+            }
+        }
+        finally {
+            await file.close()
+        }
+    }
+
+    return Readable.from(read())
+}
+
+/**
+ * Encrypts a stream using the given key, using AES-256-GCM or ChaCha20-Poly1305.
  * @param {Buffer} key The 256-bit key used to encrypt the message
  * @param {import('stream').Readable} source Readable stream to the input (plaintext)
  * @param {import('stream').Writable} destination Writable stream to the destination, where the output (ciphertext) will be written
- * @returns {Promise<Buffer>} The authentication tag for the ciphertext
+ * @param {Buffer|string} [aad] Optional Additional Authenticated Data (AAD), which is authenticated but not encrypted
+ * @param {'aes-256-gcm'|'chacha20-poly1305'} [algorithm] Algorithm to use; defaults to 'aes-256-gcm'
+ * @returns {Promise<void>} Promise that resolves with no value once the work is done
  */
-async function encrypt(key, source, destination) {
-    // Generate a random IV
-    // This is 12-byte for AES-GCM
-    const iv = await randomBytes(12)
-
-    // Need to wrap this into a Promise to await on the completion of the stream
-    return new Promise((resolve, reject) => {
-        // Create a Cipher object
-        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv)
-
-        // Listen to when the encryption is done
-        cipher.on('end', () => {
-            // Resolve the Promise and return the authentication tag
-            const tag = cipher.getAuthTag()
-            resolve(tag)
-        })
-
-        // Handle errors
-        cipher.on('error', (err) => {
-            // Reject the Promise to return the error
-            reject(err)
-        })
-
-        // In the destination stream, write the IV first
-        destination.write(iv)
-
-        // Then, use pipes to read from the input stream, pipe through the cipher,
-        // then write to the output stream
-        source.pipe(cipher).pipe(destination)
-    })
+async function encrypt(key, source, destination, aad, algorithm) {
+    // Use a pipeline to read from the input stream, pipe through the cipher,
+    // then write to the output stream
+    await pipeline(source, await createEncryptStream(key, defaultChunkSize, aad, algorithm), destination)
 }
 
 /**
  * Decrypts the encrypted stream using the given key
- * It also checks the stream's integrity using the authentication tag
+ * It also checks the stream's integrity using the authentication tags embedded in the stream
  * @param {Buffer} key The 256-bit key used to encrypt the message
- * @param {Buffer} tag The authentication tag for this ciphertext
  * @param {import('stream').Readable} source Readable stream to the input (ciphertext)
  * @param {import('stream').Writable} destination Writable stream to the destination, where the output (plaintext) will be written
+ * @param {Buffer|string} [aad] The Additional Authenticated Data (AAD) that was used when encrypting the stream, if any
  * @returns {Promise<void>} Promise that resolves with no value once the work is done
+ * @throws {AuthenticationError} If the stream was tampered with, or the AAD doesn't match
  */
-async function decrypt(key, tag, source, destination) {
-    // Read the first 12 bytes from the encrypted stream, which are the IV
-    // Need to wrap this into a Promise to await on data to be available
-    const iv = await new Promise((resolve) => {
-        const cb = () => {
-            const iv = source.read(12)
-            source.off('readable', cb)
-            return resolve(iv)
-        }
-        source.on('readable', cb)
-    })
-    if (!iv) {
-        throw Error('iv is null')
-    }
-
-    // Need to wrap this into a Promise to await on the completion of the stream
-    return new Promise((resolve, reject) => {
-        // Create a Decipher object and set the authentication tag
-        const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv)
-        decipher.setAuthTag(tag)
-
-        // Listen to when the encryption is done
-        decipher.on('end', () => {
-            // Resolve the Promise with no value
-            resolve()
-        })
-
-        // Handle errors
-        decipher.on('error', (err) => {
-            // Reject the Promise to return the error
-            reject(err)
-        })
-
-        // Use pipes to read the encrypted stream, decrypt it,
-        // then write the result to stream
-        source.pipe(decipher).pipe(destination)
-    })
+async function decrypt(key, source, destination, aad) {
+    // Use a pipeline to read the encrypted stream, decrypt it,
+    // then write the result to stream
+    await pipeline(source, createDecryptStream(key, aad), destination)
 }
 
 /* Example usage */
 
-const fs = require('fs')
 const {Buffer} = require('buffer')
 
 // Wrap in an asynchronous IIFE (Immediately-Invoked Function Expression) because we need to use the await keyword
@@ -105,34 +432,87 @@ const {Buffer} = require('buffer')
     // Path of the test file
     const testFile = '../test-files/alessandro-porri-yl4y4l86gEk-unsplash.jpg'
 
+    // Use the name of the file as AAD, so the encrypted file can't be swapped with another one
+    const aad = 'alessandro-porri-yl4y4l86gEk-unsplash.jpg'
+
     // Encrypt the file testFile into testFile+'.enc'
-    // Returns the AES-GCM authentication tag
-    let tag
+    // The authentication tags are embedded in the encrypted file, so there's nothing else to store
     {
         // Get streams to the input and output files
         // Input = plaintext
         // Output = encrypted
         const inFile = fs.createReadStream(testFile)
         const outFile = fs.createWriteStream(testFile + '.enc')
-        tag = await encrypt(key, inFile, outFile)
-        console.log('File was encrypted; authentication tag:', tag.toString('base64'))
+        await encrypt(key, inFile, outFile, aad)
+        console.log('File was encrypted')
+    }
+
+    // Decrypting with a different AAD fails, and nothing is written to the output, because the first chunk isn't authentic
+    {
+        const inFile = fs.createReadStream(testFile + '.enc')
+        const outFile = fs.createWriteStream(testFile + '.orig')
+        try {
+            await decrypt(key, inFile, outFile, 'another-file.jpg')
+        }
+        catch (err) {
+            console.log(err.name + ':', err.message)
+        }
     }
 
     // Decrypt the encrypted file back into testFile+'.orig'
-    // Throws an exception if the decryption fails (such as if the tag doesn't match)
+    // Throws an exception if the decryption fails (such as if the file was tampered with or truncated)
     {
         // Get streams to the input and output files
         // Input = encrypted
         // Output = plaintext
         const inFile = fs.createReadStream(testFile + '.enc')
         const outFile = fs.createWriteStream(testFile + '.orig')
-        await decrypt(key, tag, inFile, outFile)
+        await decrypt(key, inFile, outFile, aad)
         console.log('File was decrypted successfully')
     }
+
+    // Decrypt only a range of bytes, for example to respond to an HTTP Range request
+    // Only the chunks that contain the range are read and authenticated
+    {
+        const size = await getDecryptedSize(testFile + '.enc')
+        console.log('Size of the decrypted file:', size)
+
+        // Read bytes 100000 to 199999 (inclusive)
+        const parts = []
+        for await (const part of createDecryptReadStream(testFile + '.enc', key, {start: 100000, end: 199999, aad})) {
+            parts.push(part)
+        }
+        const range = Buffer.concat(parts)
+
+        // Compare the result with the same bytes in the original file
+        const original = await fs.promises.readFile(testFile)
+        console.log('Range matches the original file:', range.equals(original.slice(100000, 200000)))
+    }
+
+    // Encrypt the file with ChaCha20-Poly1305 instead, which is faster on devices without AES hardware instructions
+    // The layout of the file is the same, and decrypt() reads the algorithm from the header, so the rest of the code doesn't change
+    {
+        const inFile = fs.createReadStream(testFile)
+        const outFile = fs.createWriteStream(testFile + '.enc')
+        await encrypt(key, inFile, outFile, aad, 'chacha20-poly1305')
+        console.log('File was encrypted with ChaCha20-Poly1305')
+    }
+    {
+        const inFile = fs.createReadStream(testFile + '.enc')
+        const outFile = fs.createWriteStream(testFile + '.orig')
+        await decrypt(key, inFile, outFile, aad)
+        const original = await fs.promises.readFile(testFile)
+        console.log('File was decrypted successfully:', original.equals(await fs.promises.readFile(testFile + '.orig')))
+    }
 })()
 
 /*
-Example result (will be different every time):
-  File was encrypted; authentication tag: JDvEtuCLrM8USF+KvftHZA==
+Result:
+  File was encrypted
+  AuthenticationError: Decryption failed: the ciphertext or the associated data is not authentic
   File was decrypted successfully
+  Size of the decrypted file: 487278
+  Range matches the original file: true
+  File was encrypted with ChaCha20-Poly1305
+  File was decrypted successfully: true
 */
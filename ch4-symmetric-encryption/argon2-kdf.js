@@ -7,9 +7,13 @@ const argon2 = require('argon2')
  * @param {string} passphrase The passphrase to derive the key from
  * @param {Buffer} salt The salt used for this key; should be 16-byte long
  * @param {number} length Number of bytes to return from the hash (should be 16 for a 128-bit key or 32 for a 256-bit key)
+ * @param {{m: number, t: number, p: number}} [cost] Optional cost parameters: memory cost in KiB (m), number of iterations (t), and parallelism (p). This can be the `argon2id` property of the profile returned by kdf-calibrate.js. If not set, it defaults to m=4096, t=3, p=1
  * @returns {Promise<Buffer>} The symmetric key derived with Argon2
  */
-async function deriveKey(passphrase, salt, length) {
+async function deriveKey(passphrase, salt, length, cost) {
+    // Default cost parameters
+    cost = cost || {m: 4096, t: 3, p: 1}
+
     try {
         // Parameters for argon2
         const params = {
@@ -21,11 +25,11 @@ async function deriveKey(passphrase, salt, length) {
             salt: salt,
             // We need to make them all parameters explicit just in case the default ones in the library changed.
             // In fact, if that happened, the same passphrase and salt would return a different key and we wouldn't be able to decrypt our data encrypted with that key and salt combination.
-            // You can tweak these as needed.
+            // You can tweak these as needed, for example using kdf-calibrate.js.
             type: argon2.argon2id,
-            timeCost: 3,
-            memoryCost: 4096,
-            parallelism: 1,
+            timeCost: cost.t,
+            memoryCost: cost.m,
+            parallelism: cost.p,
             version: 0x13,
         }
         // Derive and return the key
@@ -4,13 +4,22 @@ const crypto = require('crypto')
 // Promisify the randomBytes method
 const randomBytes = require('util').promisify(crypto.randomBytes)
 
+// Error thrown when decryption fails; copied from aes-256-gcm.js
+class AuthenticationError extends Error {
+    constructor(message) {
+        super(message || 'Decryption failed: the ciphertext or the associated data is not authentic')
+        this.name = 'AuthenticationError'
+    }
+}
+
 /**
  * Encrypts the plaintext message using the given key with ChaCha20-Poly1305
  * @param {Buffer} key A 256-bit key
  * @param {string} plaintext The message to encrypt, as a string
+ * @param {Buffer|string} [aad] Optional Additional Authenticated Data (AAD), which is authenticated but not encrypted; for example, the ID of the record the message belongs to
  * @returns {Promise<Buffer>} The ciphertext (with the nonce and authentication tag prepended)
  */
-async function encrypt(key, plaintext) {
+async function encrypt(key, plaintext, aad) {
     // Generate a random nonce of 12 bytes
     const nonce = await randomBytes(12)
 
@@ -18,6 +27,11 @@ async function encrypt(key, plaintext) {
     const cipher = crypto.createCipheriv('chacha20-poly1305', key, nonce, {
         authTagLength: 16
     })
+    // If present, authenticate the AAD too
+    // The AAD is not part of the output: it needs to be provided again when decrypting
+    if (aad) {
+        cipher.setAAD(Buffer.from(aad))
+    }
     const encrypted = Buffer.concat([
         cipher.update(plaintext, 'utf8'),
         cipher.final()
@@ -33,9 +47,11 @@ async function encrypt(key, plaintext) {
  * Decrypts the encrypted message using the given key with ChaCha20-Poly1305
  * @param {Buffer} key The 256-bit key used to encrypt the message
  * @param {Buffer} message The ciphertext (with the nonce and authentication tag prepended)
+ * @param {Buffer|string} [aad] The Additional Authenticated Data (AAD) that was used when encrypting the message, if any
  * @returns {string} The decrypted message
+ * @throws {AuthenticationError} If the message was tampered with, or the AAD doesn't match
  */
-function decrypt(key, message) {
+function decrypt(key, message, aad) {
     // The first 12 bytes in the encrypted message are the nonce
     // Next 16 bytes are the authentication tag
     // The rest is the ciphertext
@@ -48,10 +64,20 @@ function decrypt(key, message) {
         authTagLength: 16
     })
     decipher.setAuthTag(tag)
-    const decrypted = Buffer.concat([
-        decipher.update(ciphertext, 'utf8'),
-        decipher.final()
-    ])
+    if (aad) {
+        decipher.setAAD(Buffer.from(aad))
+    }
+    // decipher.final() throws if the authentication tag doesn't match (including when the AAD is different)
+    let decrypted
+    try {
+        decrypted = Buffer.concat([
+            decipher.update(ciphertext),
+            decipher.final()
+        ])
+    }
+    catch (err) {
+        throw new AuthenticationError()
+    }
 
     return decrypted.toString('utf8')
 }
@@ -76,6 +102,22 @@ function decrypt(key, message) {
     // Decrypt the encrypted message and show the result
     const decrypted = decrypt(key, encrypted)
     console.log('Decrypted message:', decrypted)
+
+    // Encrypt a value that belongs to a specific record and column, using them as AAD
+    // This binds the ciphertext to its context: if an attacker copies it into a different row, decryption fails
+    const encryptedEmail = await encrypt(key, 'alice@example.com', 'users:42:email')
+    console.log('Decrypted with the right AAD:', decrypt(key, encryptedEmail, 'users:42:email'))
+    try {
+        decrypt(key, encryptedEmail, 'users:43:email')
+    }
+    catch (err) {
+        if (err instanceof AuthenticationError) {
+            console.log('Decrypting with the wrong AAD failed:', err.message)
+        }
+        else {
+            throw err
+        }
+    }
 })()
 
 /*
@@ -83,4 +125,6 @@ Example result (will be different every time):
   Key: pG0P+/xXa6nFWG+X9WcAO4uIBWCTViSEIyiZBc9JyJA=
   Encrypted message: Ab/Rr9FSkn69HxOU96we7DNNM7ntSChfVWyRXjvburtXVRa+Pvienw==
   Decrypted message: Hello world!
+  Decrypted with the right AAD: alice@example.com
+  Decrypting with the wrong AAD failed: Decryption failed: the ciphertext or the associated data is not authentic
 */
@@ -0,0 +1,534 @@
+// Import the required modules
+const crypto = require('crypto')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+// Promisify the randomBytes method
+const randomBytes = require('util').promisify(crypto.randomBytes)
+
+/*
+Format of the envelope:
+  - Magic byte (1 byte): 0xCE
+  - Version (1 byte): 0x01
+  - Algorithm ID (1 byte): see the `algorithms` object below
+  - Key ID length (1 byte), followed by the key ID (UTF-8 encoded, up to 255 bytes)
+  - Nonce/IV (length depends on the algorithm)
+  - Authentication tag (length depends on the algorithm; not present for AES-256-CBC)
+  - Ciphertext
+
+For the authenticated ciphers (AES-256-GCM and ChaCha20-Poly1305), the header (from the magic byte to the end of the key ID) is used as Additional Authenticated Data (AAD), so it can't be modified without the decryption failing.
+AES-256-CBC is not authenticated (and neither is the header), so it's included only to be able to read and migrate data that was encrypted with it: `encrypt` refuses to use it for new messages.
+*/
+
+// Constants for the format
+const magic = 0xCE
+const version = 0x01
+
+/**
+ * Supported algorithms, by name.
+ * @type {Record<string, {id: number, cipher: string, nonceLength: number, tagLength: number}>}
+ */
+const algorithms = {
+    'aes-256-gcm': {id: 0x01, cipher: 'aes-256-gcm', nonceLength: 12, tagLength: 16},
+    'chacha20-poly1305': {id: 0x02, cipher: 'chacha20-poly1305', nonceLength: 12, tagLength: 16},
+    'aes-256-cbc': {id: 0x03, cipher: 'aes-256-cbc', nonceLength: 16, tagLength: 0},
+}
+
+/**
+ * Maximum number of messages that should be encrypted with a single key, for each algorithm.
+ * With random 96-bit nonces, the probability of a nonce collision (which would be catastrophic for AES-GCM and ChaCha20-Poly1305) must be kept below 2^-32, which limits each key to about 2^32 messages.
+ * AES-256-CBC is only used to read legacy data, so it should never be used to encrypt new messages.
+ * @type {Record<string, number>}
+ */
+const usageLimits = {
+    'aes-256-gcm': 2 ** 32,
+    'chacha20-poly1305': 2 ** 32,
+    'aes-256-cbc': 0,
+}
+
+/**
+ * Keyring containing all keys that can be used to decrypt data, and the ID of the one that is used to encrypt new data.
+ * Each key can be used with one algorithm only; the current key can't be an AES-256-CBC one.
+ * @typedef {Object} Keyring
+ * @property {string} current ID of the key used to encrypt new data
+ * @property {Record<string, {key: Buffer, algorithm: 'aes-256-gcm'|'chacha20-poly1305'|'aes-256-cbc'}>} keys All keys, by their ID
+ */
+
+/**
+ * Encrypts a message using the current key in the keyring, and returns it in a versioned envelope.
+ * @param {Keyring} keyring Keyring
+ * @param {string|Buffer} plaintext The message to encrypt
+ * @returns {Promise<Buffer>} The envelope, which includes the header, the nonce, the authentication tag, and the ciphertext
+ */
+async function encrypt(keyring, plaintext) {
+    const keyId = keyring.current
+    const {key, algorithm} = keyring.keys[keyId]
+    const alg = algorithms[algorithm]
+    if (!alg) {
+        throw Error('Unsupported algorithm: ' + algorithm)
+    }
+    if (!usageLimits[algorithm]) {
+        throw Error('Algorithm can\'t be used to encrypt new messages: ' + algorithm)
+    }
+
+    // Build the header
+    const keyIdBuf = Buffer.from(keyId, 'utf8')
+    if (keyIdBuf.length > 255) {
+        throw Error('Key ID is too long')
+    }
+    const header = Buffer.concat([
+        Buffer.from([magic, version, alg.id, keyIdBuf.length]),
+        keyIdBuf
+    ])
+
+    // Generate a random nonce/IV
+    const nonce = await randomBytes(alg.nonceLength)
+
+    // Encrypt the message, using the header as AAD
+    const cipher = crypto.createCipheriv(alg.cipher, key, nonce, {authTagLength: alg.tagLength})
+    cipher.setAAD(header)
+    const encrypted = Buffer.concat([
+        cipher.update(plaintext, 'utf8'),
+        cipher.final()
+    ])
+    const tag = cipher.getAuthTag()
+
+    return Buffer.concat([header, nonce, tag, encrypted])
+}
+
+/**
+ * Reads the header of an envelope.
+ * @param {Buffer} blob The envelope
+ * @returns {{algorithm: string, keyId: string, header: Buffer, nonce: Buffer, tag: Buffer, ciphertext: Buffer}} The parsed envelope
+ */
+function parseEnvelope(blob) {
+    if (blob.length < 4 || blob[0] != magic) {
+        throw Error('Not an envelope')
+    }
+    if (blob[1] != version) {
+        throw Error('Unsupported envelope version: ' + blob[1])
+    }
+    const algorithm = Object.keys(algorithms).find((name) => algorithms[name].id == blob[2])
+    if (!algorithm) {
+        throw Error('Unsupported algorithm ID: ' + blob[2])
+    }
+    const alg = algorithms[algorithm]
+
+    // Read the key ID, then the nonce and the tag, whose length depends on the algorithm
+    const headerLength = 4 + blob[3]
+    if (blob.length < headerLength + alg.nonceLength + alg.tagLength) {
+        throw Error('Envelope is truncated')
+    }
+    const nonceEnd = headerLength + alg.nonceLength
+    const tagEnd = nonceEnd + alg.tagLength
+    return {
+        algorithm,
+        keyId: blob.slice(4, headerLength).toString('utf8'),
+        header: blob.slice(0, headerLength),
+        nonce: blob.slice(headerLength, nonceEnd),
+        tag: blob.slice(nonceEnd, tagEnd),
+        ciphertext: blob.slice(tagEnd),
+    }
+}
+
+/**
+ * Decrypts a message in an envelope, using the key from the keyring whose ID is in the envelope.
+ * @param {Keyring} keyring Keyring
+ * @param {Buffer} blob The envelope
+ * @returns {string} The decrypted message
+ * @throws {AuthenticationError} If the envelope was tampered with, or the key is wrong
+ */
+function decrypt(keyring, blob) {
+    const envelope = parseEnvelope(blob)
+
+    // The key must be in the keyring, and the algorithm must be the one the key is meant for
+    // This prevents an attacker from choosing a different algorithm
+    const entry = Object.prototype.hasOwnProperty.call(keyring.keys, envelope.keyId) && keyring.keys[envelope.keyId]
+    if (!entry) {
+        throw Error('Key not found: ' + envelope.keyId)
+    }
+    if (entry.algorithm != envelope.algorithm) {
+        throw Error('Algorithm does not match the key')
+    }
+    const alg = algorithms[envelope.algorithm]
+
+    // Decrypt the ciphertext
+    const decipher = alg.tagLength ?
+        crypto.createDecipheriv(alg.cipher, entry.key, envelope.nonce, {authTagLength: alg.tagLength}) :
+        crypto.createDecipheriv(alg.cipher, entry.key, envelope.nonce)
+    if (alg.tagLength) {
+        decipher.setAAD(envelope.header)
+        decipher.setAuthTag(envelope.tag)
+    }
+    let decrypted
+    try {
+        decrypted = Buffer.concat([
+            decipher.update(envelope.ciphertext),
+            decipher.final()
+        ])
+    }
+    catch (err) {
+        throw new AuthenticationError()
+    }
+
+    return decrypted.toString('utf8')
+}
+
+/**
+ * Re-encrypts a message with the current key in the keyring, if it was encrypted with a different key.
+ * This can be used to migrate stored data to a new key or a new algorithm.
+ * @param {Keyring} keyring Keyring
+ * @param {Buffer} blob The envelope
+ * @returns {Promise<Buffer|null>} The new envelope, or null if the message is already encrypted with the current key
+ */
+async function reencrypt(keyring, blob) {
+    if (parseEnvelope(blob).keyId == keyring.current) {
+        return null
+    }
+    return encrypt(keyring, decrypt(keyring, blob))
+}
+
+/**
+ * Decrypts a message in the legacy formats used by aes-256-gcm.js, chacha20-poly1305.js (nonce, tag, and ciphertext) and aes-256-cbc.js (IV and ciphertext).
+ * Because those formats don't say which algorithm or key was used, these need to be passed explicitly.
+ * The result can then be encrypted again with `encrypt` to migrate the data to the envelope format.
+ * @param {Buffer} key The 256-bit key used to encrypt the message
+ * @param {'aes-256-gcm'|'chacha20-poly1305'|'aes-256-cbc'} algorithm Algorithm used to encrypt the message
+ * @param {Buffer} message The ciphertext in the legacy format
+ * @returns {string} The decrypted message
+ * @throws {AuthenticationError} If the message was tampered with, or the key is wrong
+ */
+function decryptLegacy(key, algorithm, message) {
+    const alg = algorithms[algorithm]
+    if (!alg) {
+        throw Error('Unsupported algorithm: ' + algorithm)
+    }
+    const nonce = message.slice(0, alg.nonceLength)
+    const tag = message.slice(alg.nonceLength, alg.nonceLength + alg.tagLength)
+    const ciphertext = message.slice(alg.nonceLength + alg.tagLength)
+
+    const decipher = alg.tagLength ?
+        crypto.createDecipheriv(alg.cipher, key, nonce, {authTagLength: alg.tagLength}) :
+        crypto.createDecipheriv(alg.cipher, key, nonce)
+    if (alg.tagLength) {
+        if (tag.length != alg.tagLength) {
+            throw new AuthenticationError()
+        }
+        decipher.setAuthTag(tag)
+    }
+    let decrypted
+    try {
+        decrypted = Buffer.concat([
+            decipher.update(ciphertext),
+            decipher.final()
+        ])
+    }
+    catch (err) {
+        // With AES-256-CBC, this is usually a padding error ("bad decrypt")
+        throw new AuthenticationError()
+    }
+    return decrypted.toString('utf8')
+}
+
+/**
+ * A keyring that counts how many messages are encrypted with each key, persists the counters to a file, and rotates to a new key automatically when the current one reaches its usage limit.
+ * @typedef {Object} ManagedKeyring
+ * @property {(plaintext: string|Buffer) => Promise<Buffer>} encrypt Encrypts a message with the current key, counting the use
+ * @property {(blob: Buffer) => string} decrypt Decrypts a message encrypted with any key in the keyring, including retired ones
+ * @property {(blob: Buffer) => Promise<Buffer|null>} reencrypt Re-encrypts a message with the current key, if it was encrypted with a different one
+ * @property {() => Promise<string>} rotate Generates a new key and makes it the current one, returning its ID
+ * @property {() => {keyId: string, uses: number, maxUses: number}} usage Returns the usage of the current key
+ */
+
+/**
+ * Opens a keyring stored in a file, creating it if it doesn't exist.
+ * The keys in the file are wrapped (encrypted) with the master key using AES-KW, so the file can't be used without it; the master key should be stored separately, for example in a KMS or HSM.
+ *
+ * The usage counters are persisted in blocks: before using a key, the keyring "reserves" the next `reserveSize` uses and saves the new counter to the file. If the process exits, the uses that were reserved but not used are lost, so the counters can only over-estimate the number of messages encrypted with each key, and never under-estimate it.
+ * The file should be used by one process at a time; each process (or service instance) should have its own keyring.
+ * @param {string} file Path to the JSON file containing the keyring
+ * @param {Buffer} masterKey 256-bit master key used to wrap the keys in the file
+ * @param {{algorithm?: 'aes-256-gcm'|'chacha20-poly1305', maxUses?: number, reserveSize?: number}} [options] Algorithm for new keys (default: 'aes-256-gcm'), number of messages after which the key is rotated (default: the limit for the algorithm in `usageLimits`), and how many uses to reserve at a time (default: 1000)
+ * @returns {Promise<ManagedKeyring>} The keyring
+ */
+async function openKeyring(file, masterKey, options) {
+    options = Object.assign({algorithm: 'aes-256-gcm', reserveSize: 1000}, options)
+    if (!usageLimits[options.algorithm]) {
+        throw Error('Algorithm can\'t be used to encrypt new messages: ' + options.algorithm)
+    }
+    const maxUses = options.maxUses || usageLimits[options.algorithm]
+
+    // Load the keyring from the file, if it exists
+    // `reserved` contains the counters stored in the file; the actual uses are in the `uses` property of each key in memory
+    const keyring = {current: null, keys: {}}
+    const reserved = {}
+    let stored
+    try {
+        stored = JSON.parse(await fs.promises.readFile(file, 'utf8'))
+    }
+    catch (err) {
+        if (err.code != 'ENOENT') {
+            throw err
+        }
+    }
+    if (stored) {
+        keyring.current = stored.current
+        for (const keyId in stored.keys) {
+            const entry = stored.keys[keyId]
+            let key
+            try {
+                key = unwrapKey(masterKey, Buffer.from(entry.wrappedKey, 'base64'))
+            }
+            catch (err) {
+                throw Error('Could not unwrap key ' + keyId + ': the master key is not correct')
+            }
+            keyring.keys[keyId] = {
+                key,
+                algorithm: entry.algorithm,
+                // We don't know how many of the reserved uses were actually used, so we assume all of them were
+                uses: entry.uses,
+            }
+            reserved[keyId] = entry.uses
+        }
+    }
+
+    /**
+     * Saves the keyring to the file, with the keys wrapped with the master key.
+     */
+    const save = async () => {
+        const keys = {}
+        for (const keyId in keyring.keys) {
+            keys[keyId] = {
+                algorithm: keyring.keys[keyId].algorithm,
+                wrappedKey: wrapKey(masterKey, keyring.keys[keyId].key).toString('base64'),
+                uses: reserved[keyId],
+            }
+        }
+        await writeFileAtomic(file, JSON.stringify({current: keyring.current, keys}, null, 2))
+    }
+
+    /**
+     * Generates a new key, makes it the current one, and saves the keyring.
+     * @returns {Promise<string>} ID of the new key
+     */
+    const rotate = async () => {
+        const keyId = (await randomBytes(8)).toString('hex')
+        keyring.keys[keyId] = {key: await randomBytes(32), algorithm: options.algorithm, uses: 0}
+        reserved[keyId] = 0
+        keyring.current = keyId
+        await save()
+        return keyId
+    }
+
+    // Operations that modify the keyring are run one at a time, so concurrent calls to encrypt don't reserve the same uses twice
+    let queue = Promise.resolve()
+    const serialize = (fn) => {
+        const result = queue.then(fn)
+        queue = result.catch(() => {})
+        return result
+    }
+
+    /**
+     * Counts one use of the current key, rotating it first if it reached the limit and reserving more uses if needed.
+     */
+    const countUse = async () => {
+        if (!keyring.current || keyring.keys[keyring.current].uses >= maxUses) {
+            await rotate()
+        }
+        const keyId = keyring.current
+        if (keyring.keys[keyId].uses >= reserved[keyId]) {
+            reserved[keyId] = Math.min(reserved[keyId] + options.reserveSize, maxUses)
+            await save()
+        }
+        keyring.keys[keyId].uses++
+    }
+
+    return {
+        encrypt: (plaintext) => serialize(async () => {
+            await countUse()
+            return encrypt(keyring, plaintext)
+        }),
+        decrypt: (blob) => decrypt(keyring, blob),
+        reencrypt: (blob) => serialize(async () => {
+            if (keyring.current && parseEnvelope(blob).keyId == keyring.current) {
+                return null
+            }
+            const plaintext = decrypt(keyring, blob)
+            await countUse()
+            return encrypt(keyring, plaintext)
+        }),
+        rotate: () => serialize(rotate),
+        usage: () => ({
+            keyId: keyring.current,
+            uses: keyring.current ? keyring.keys[keyring.current].uses : 0,
+            maxUses,
+        }),
+    }
+}
+
+/* Example usage */
+
+// Wrap in an asynchronous IIFE (Immediately-Invoked Function Expression) because we need to use the await keyword
+;(async () => {
+    // Keyring with an old AES-256-GCM key and a new ChaCha20-Poly1305 key
+    // In this case, we're generating random 256-bit keys
+    const keyring = {
+        current: 'old',
+        keys: {
+            'old': {key: await randomBytes(32), algorithm: 'aes-256-gcm'},
+            'new': {key: await randomBytes(32), algorithm: 'chacha20-poly1305'},
+        },
+    }
+
+    // Encrypt a message with the old key
+    const encrypted = await encrypt(keyring, 'Hello world!')
+    console.log('Encrypted with the old key:', encrypted.toString('base64'))
+
+    // Rotate the key, then migrate the message to the new key (and algorithm)
+    keyring.current = 'new'
+    const migrated = await reencrypt(keyring, encrypted)
+    console.log('Migrated to the new key:', migrated.toString('base64'))
+
+    // Both envelopes can be decrypted, because the algorithm and the key ID are in the envelope
+    console.log('Decrypted (old):', decrypt(keyring, encrypted))
+    console.log('Decrypted (new):', decrypt(keyring, migrated))
+
+    // Migrate a message that was encrypted with aes-256-cbc.js, which doesn't use the envelope
+    keyring.keys['cbc'] = {key: await randomBytes(32), algorithm: 'aes-256-cbc'}
+    const legacy = legacyAesCbcEncrypt(keyring.keys['cbc'].key, 'Hello legacy!')
+    const fromLegacy = await encrypt(keyring, decryptLegacy(keyring.keys['cbc'].key, 'aes-256-cbc', legacy))
+    console.log('Decrypted (from legacy):', decrypt(keyring, fromLegacy))
+
+    // AES-256-CBC keys can't be used to encrypt new messages
+    try {
+        await encrypt({current: 'cbc', keys: keyring.keys}, 'Hello CBC!')
+    }
+    catch (err) {
+        console.log('Encrypting with AES-256-CBC failed:', err.message)
+    }
+
+    // Open a keyring that rotates keys automatically
+    // In this example, the limit is set to 3 messages per key, so we can see the rotation happen; the default is 2^32 for AES-256-GCM
+    // We start from an empty file, and the master key is random: in your app, the master key would be loaded from a KMS or a secret store
+    const keyringFile = path.join(os.tmpdir(), 'envelope-keyring.json')
+    await fs.promises.rm(keyringFile, {force: true})
+    const masterKey = await randomBytes(32)
+    const managed = await openKeyring(keyringFile, masterKey, {maxUses: 3, reserveSize: 2})
+    const messages = []
+    for (let i = 0; i < 4; i++) {
+        messages.push(await managed.encrypt('Message ' + i))
+        console.log('Encrypted message ' + i + ' with key', managed.usage())
+    }
+
+    // After a restart, the counters are read from the file; uses that were reserved but not used are counted as used
+    // Messages encrypted with the retired key can still be decrypted
+    const reopened = await openKeyring(keyringFile, masterKey, {maxUses: 3, reserveSize: 2})
+    console.log('After reopening:', reopened.usage())
+    console.log('Decrypted:', messages.map((m) => reopened.decrypt(m)))
+})()
+
+/*** Example encryption function from aes-256-cbc.js, which uses the legacy format ***/
+
+function legacyAesCbcEncrypt(key, plaintext) {
+    const iv = crypto.randomBytes(16)
+    const cipher = crypto.createCipheriv('aes-256-cbc', key, iv)
+    const encrypted = Buffer.concat([
+        cipher.update(plaintext, 'utf8'),
+        cipher.final()
+    ])
+    return Buffer.concat([iv, encrypted])
+}
+
+/*** From aes-256-gcm.js ***/
+
+class AuthenticationError extends Error {
+    constructor(message) {
+        super(message || 'Decryption failed: the ciphertext or the associated data is not authentic')
+        this.name = 'AuthenticationError'
+    }
+}
+
+/*** From key-wrap.js ***/
+
+/**
+ * Wraps a key with the wrapping key, using AES-KW (RFC 3394).
+ * @param {Buffer} wrappingKey The 256-bit wrapping key
+ * @param {Buffer} key Key to wrap
+ * @returns {Buffer} The wrapped key
+ */
+function wrapKey(wrappingKey, key) {
+    const cipher = crypto.createCipheriv('id-aes256-wrap', wrappingKey, Buffer.from('A6A6A6A6A6A6A6A6', 'hex'))
+    return Buffer.concat([
+        cipher.update(key),
+        cipher.final()
+    ])
+}
+
+/**
+ * Unwraps a key with the wrapping key, using AES-KW (RFC 3394).
+ * Throws an error if the wrapped key was not created with this wrapping key (or if it was tampered with).
+ * @param {Buffer} wrappingKey The 256-bit wrapping key
+ * @param {Buffer} wrappedKey The wrapped key
+ * @returns {Buffer} The key
+ */
+function unwrapKey(wrappingKey, wrappedKey) {
+    const decipher = crypto.createDecipheriv('id-aes256-wrap', wrappingKey, Buffer.from('A6A6A6A6A6A6A6A6', 'hex'))
+    return Buffer.concat([
+        decipher.update(wrappedKey),
+        decipher.final()
+    ])
+}
+
+/**
+ * Writes a file atomically: the content is written to a temporary file in the same directory, flushed to disk, and then renamed over the destination.
+ * @param {string} file Path to the file
+ * @param {string} content Content to write
+ */
+async function writeFileAtomic(file, content) {
+    const tmp = file + '.' + (await randomBytes(6)).toString('hex') + '.tmp'
+    const fh = await fs.promises.open(tmp, 'wx', 0o600)
+    try {
+        await fh.writeFile(content, 'utf8')
+        await fh.sync()
+    }
+    catch (err) {
+        await fh.close()
+        await fs.promises.unlink(tmp)
+        throw err
+    }
+    await fh.close()
+    await fs.promises.rename(tmp, file)
+
+    // Flush the directory too, so the rename is persisted on disk
+    // This isn't supported on all platforms (e.g. Windows), so errors are ignored
+    let dir
+    try {
+        dir = await fs.promises.open(path.dirname(file), 'r')
+        await dir.sync()
+    }
+    catch (err) {
+        // Ignore
+    }
+    finally {
+        if (dir) {
+            await dir.close()
+        }
+    }
+}
+
+/*
+Example result (will be different every time):
+  Encrypted with the old key: zgEBA29sZKzkK+EJ0gdhcusjLiJEbolyxbmGrdKHQ/ryvO+xS17BziWjCNq8gTs=
+  Migrated to the new key: zgECA25ldzAFHokTQwwj/YzJ662Xc7ykwSlKfYggGICQ6L0k5c9UOU8PjZUsIXk=
+  Decrypted (old): Hello world!
+  Decrypted (new): Hello world!
+  Decrypted (from legacy): Hello legacy!
+  Encrypting with AES-256-CBC failed: Algorithm can't be used to encrypt new messages: aes-256-cbc
+  Encrypted message 0 with key { keyId: '46cdb7d7ae2dd226', uses: 1, maxUses: 3 }
+  Encrypted message 1 with key { keyId: '46cdb7d7ae2dd226', uses: 2, maxUses: 3 }
+  Encrypted message 2 with key { keyId: '46cdb7d7ae2dd226', uses: 3, maxUses: 3 }
+  Encrypted message 3 with key { keyId: '77339e91f3002a50', uses: 1, maxUses: 3 }
+  After reopening: { keyId: '77339e91f3002a50', uses: 2, maxUses: 3 }
+  Decrypted: [ 'Message 0', 'Message 1', 'Message 2', 'Message 3' ]
+*/
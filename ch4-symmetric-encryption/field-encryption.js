@@ -0,0 +1,304 @@
+// Import the required modules
+const crypto = require('crypto')
+
+// Promisify the randomBytes method
+const randomBytes = require('util').promisify(crypto.randomBytes)
+
+/*
+Field-level encryption for JSON documents.
+Only the sensitive fields are encrypted (for example "ssn" or "address.street"), while the rest of the document stays in plaintext, so it can still be indexed and queried.
+
+Each encrypted value is replaced with a string in the format "enc:v1:<base64>", where the base64-encoded data is the output of `encrypt` from aes-256-gcm.js (IV, authentication tag, and ciphertext). The value is serialized as JSON before being encrypted, so numbers, booleans, objects and arrays are restored with their type.
+
+The ID of the record and the path of the field are used as Additional Authenticated Data (AAD): this way, an encrypted value can't be copied into a different field, or into the same field of a different record, without decryption failing.
+*/
+
+// Prefix for encrypted values
+const prefix = 'enc:v1:'
+
+/**
+ * Encrypts the fields at the given paths in a JSON document.
+ * Paths that are not present in the document, or whose value is undefined (which can't be serialized as JSON), are ignored.
+ * @param {Buffer} key A 256-bit key
+ * @param {Object} doc The document; it's not modified
+ * @param {string} recordId ID of the record (for example, the primary key), which is bound to each encrypted value
+ * @param {string[]} paths Paths of the fields to encrypt, such as "ssn", "address.street", or "phones.0" (a leading "$." is allowed)
+ * @returns {Promise<Object>} A copy of the document with the fields encrypted
+ */
+async function encryptFields(key, doc, recordId, paths) {
+    const result = structuredClone(doc)
+    for (const path of paths) {
+        const segments = parsePath(path)
+        const parent = findParent(result, segments)
+        const name = segments[segments.length - 1]
+        if (!parent || !Object.prototype.hasOwnProperty.call(parent, name) || parent[name] === undefined) {
+            continue
+        }
+        if (isEncrypted(parent[name])) {
+            throw Error('Field is already encrypted: ' + path)
+        }
+
+        const encrypted = await encrypt(key, JSON.stringify(parent[name]), fieldAad(recordId, segments))
+        parent[name] = prefix + encrypted.toString('base64')
+    }
+    return result
+}
+
+/**
+ * Decrypts the fields at the given paths in a JSON document.
+ * If the list of paths is not set, all encrypted fields in the document are decrypted.
+ * @param {Buffer} key The 256-bit key used to encrypt the fields
+ * @param {Object} doc The document; it's not modified
+ * @param {string} recordId ID of the record, which must be the same that was used when encrypting
+ * @param {string[]} [paths] Paths of the fields to decrypt; fields that are not in the list are left encrypted
+ * @returns {Object} A copy of the document with the fields decrypted
+ * @throws {AuthenticationError} If a value was tampered with, or it was moved from a different field or record
+ */
+function decryptFields(key, doc, recordId, paths) {
+    const result = structuredClone(doc)
+    const targets = paths ? paths.map(parsePath) : findEncrypted(result, [])
+    for (const segments of targets) {
+        const parent = findParent(result, segments)
+        const name = segments[segments.length - 1]
+        if (!parent || !Object.prototype.hasOwnProperty.call(parent, name)) {
+            continue
+        }
+        if (!isEncrypted(parent[name])) {
+            throw Error('Field is not encrypted: ' + segments.join('.'))
+        }
+
+        const message = Buffer.from(parent[name].slice(prefix.length), 'base64')
+        parent[name] = JSON.parse(decrypt(key, message, fieldAad(recordId, segments)))
+    }
+    return result
+}
+
+/**
+ * Returns true if the value is an encrypted field.
+ * @param {any} value Value
+ * @returns {boolean} True if the value is encrypted
+ */
+function isEncrypted(value) {
+    return typeof value == 'string' && value.startsWith(prefix)
+}
+
+/**
+ * Splits a path into its segments.
+ * @param {string} path Path such as "address.street" or "$.address.street"
+ * @returns {string[]} Segments of the path
+ */
+function parsePath(path) {
+    const segments = path.replace(/^\$\./, '').split('.')
+    if (segments.some((s) => s == '')) {
+        throw Error('Invalid path: ' + path)
+    }
+    return segments
+}
+
+/**
+ * Returns the object or array that contains the field at the given path.
+ * @param {Object} doc The document
+ * @param {string[]} segments Segments of the path
+ * @returns {Object|null} The parent of the field, or null if it doesn't exist
+ */
+function findParent(doc, segments) {
+    let node = doc
+    for (const segment of segments.slice(0, -1)) {
+        if (node === null || typeof node != 'object' || !Object.prototype.hasOwnProperty.call(node, segment)) {
+            return null
+        }
+        node = node[segment]
+    }
+    return (node !== null && typeof node == 'object') ? node : null
+}
+
+/**
+ * Returns the paths of all encrypted fields in a document.
+ * @param {any} node The document, or a value inside it
+ * @param {string[]} segments Segments of the path of the node
+ * @returns {string[][]} Paths of the encrypted fields, as lists of segments
+ * @throws {Error} If an encrypted field is inside a field whose name contains a dot, which can't be written as a path
+ */
+function findEncrypted(node, segments) {
+    if (isEncrypted(node)) {
+        return [segments]
+    }
+    if (node === null || typeof node != 'object') {
+        return []
+    }
+    return Object.keys(node).flatMap((k) => {
+        const found = findEncrypted(node[k], [...segments, k])
+        if (found.length && k.includes('.')) {
+            throw Error('Invalid field name: ' + k)
+        }
+        return found
+    })
+}
+
+/**
+ * Returns the AAD for a field, which binds the ciphertext to the record ID and the path of the field.
+ * The record ID and each segment of the path are separate elements of a JSON array, so different records or paths can't result in the same AAD (e.g. record "a.b" and field "c" vs record "a" and field "b.c").
+ * @param {string} recordId ID of the record
+ * @param {string[]} segments Segments of the path
+ * @returns {string} The AAD
+ */
+function fieldAad(recordId, segments) {
+    return JSON.stringify([String(recordId), ...segments])
+}
+
+/*** From aes-256-gcm.js ***/
+
+class AuthenticationError extends Error {
+    constructor(message) {
+        super(message || 'Decryption failed: the ciphertext or the associated data is not authentic')
+        this.name = 'AuthenticationError'
+    }
+}
+
+/**
+ * Encrypts the plaintext message using the given key with AES-256-GCM
+ * @param {Buffer} key A 256-bit key
+ * @param {string} plaintext The message to encrypt, as a string
+ * @param {Buffer|string} [aad] Optional Additional Authenticated Data (AAD)
+ * @returns {Promise<Buffer>} The ciphertext (with the IV and authentication tag prepended)
+ */
+async function encrypt(key, plaintext, aad) {
+    const iv = await randomBytes(12)
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv)
+    if (aad) {
+        cipher.setAAD(Buffer.from(aad))
+    }
+    const encrypted = Buffer.concat([
+        cipher.update(plaintext, 'utf8'),
+        cipher.final()
+    ])
+    const tag = cipher.getAuthTag()
+    return Buffer.concat([iv, tag, encrypted])
+}
+
+/**
+ * Decrypts the encrypted message using the given key with AES-256-GCM
+ * @param {Buffer} key The 256-bit key used to encrypt the message
+ * @param {Buffer} message The ciphertext (with the IV and authentication tag prepended)
+ * @param {Buffer|string} [aad] The Additional Authenticated Data (AAD) that was used when encrypting the message, if any
+ * @returns {string} The decrypted message
+ * @throws {AuthenticationError} If the message was tampered with, or the AAD doesn't match
+ */
+function decrypt(key, message, aad) {
+    // The message must contain at least the IV and the full 16-byte tag
+    if (message.length < 28) {
+        throw new AuthenticationError()
+    }
+    const iv = message.slice(0, 12)
+    const tag = message.slice(12, 28)
+    const ciphertext = message.slice(28)
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv, {authTagLength: 16})
+    decipher.setAuthTag(tag)
+    if (aad) {
+        decipher.setAAD(Buffer.from(aad))
+    }
+    let decrypted
+    try {
+        decrypted = Buffer.concat([
+            decipher.update(ciphertext),
+            decipher.final()
+        ])
+    }
+    catch (err) {
+        throw new AuthenticationError()
+    }
+    return decrypted.toString('utf8')
+}
+
+/* Example usage */
+
+// Wrap in an asynchronous IIFE (Immediately-Invoked Function Expression) because we need to use the await keyword
+;(async () => {
+    // Key to use
+    // In this case, we're generating a random 256-bit (32 byte) key
+    const key = await randomBytes(32)
+
+    // User records, with some sensitive fields
+    const alice = {
+        id: 'user-42',
+        name: 'Alice',
+        country: 'IT',
+        ssn: '123-45-6789',
+        address: {street: '1 Via Roma', city: 'Milano'},
+        birthYear: 1990,
+    }
+    const bob = {
+        id: 'user-43',
+        name: 'Bob',
+        country: 'US',
+        ssn: '987-65-4321',
+        address: {street: '2 Main St', city: 'Boston'},
+        birthYear: 1985,
+    }
+
+    // Encrypt the sensitive fields only
+    // The ID of the record is used, together with the path of each field, as AAD
+    const sensitive = ['ssn', 'address.street', 'birthYear']
+    const encryptedAlice = await encryptFields(key, alice, alice.id, sensitive)
+    const encryptedBob = await encryptFields(key, bob, bob.id, sensitive)
+    console.log('Encrypted document:', encryptedAlice)
+
+    // Decrypt one field only, then all of them
+    console.log('Decrypted SSN only:', decryptFields(key, encryptedAlice, alice.id, ['ssn']))
+    console.log('Decrypted document:', decryptFields(key, encryptedAlice, alice.id))
+
+    // An attacker with access to the database swaps the SSN of two records, or moves a value to a different field: decryption fails
+    const tampered = [
+        {...encryptedAlice, ssn: encryptedBob.ssn},
+        {...encryptedAlice, ssn: encryptedAlice.address.street},
+    ]
+    for (const doc of tampered) {
+        try {
+            decryptFields(key, doc, alice.id, ['ssn'])
+        }
+        catch (err) {
+            if (err instanceof AuthenticationError) {
+                console.log('Decrypting a moved value failed:', err.message)
+            }
+            else {
+                throw err
+            }
+        }
+    }
+})()
+
+/*
+Example result (will be different every time):
+  Encrypted document: {
+    id: 'user-42',
+    name: 'Alice',
+    country: 'IT',
+    ssn: 'enc:v1:jJT/ssf6+a2Z4PN2RC7HgfLSsLQsWI/oCdYcZjLLmA43EtnjH2zLbGQ=',
+    address: {
+      street: 'enc:v1:XIqjMlrk8H/49Y7E1BL6eZhT3TYQIDPbU6BDlHJzDqXhierFXhYoRg==',
+      city: 'Milano'
+    },
+    birthYear: 'enc:v1:LQXvbrPe780kjrcAXfODxym1eMSOi1YsNl+sAjkNFUY='
+  }
+  Decrypted SSN only: {
+    id: 'user-42',
+    name: 'Alice',
+    country: 'IT',
+    ssn: '123-45-6789',
+    address: {
+      street: 'enc:v1:XIqjMlrk8H/49Y7E1BL6eZhT3TYQIDPbU6BDlHJzDqXhierFXhYoRg==',
+      city: 'Milano'
+    },
+    birthYear: 'enc:v1:LQXvbrPe780kjrcAXfODxym1eMSOi1YsNl+sAjkNFUY='
+  }
+  Decrypted document: {
+    id: 'user-42',
+    name: 'Alice',
+    country: 'IT',
+    ssn: '123-45-6789',
+    address: { street: '1 Via Roma', city: 'Milano' },
+    birthYear: 1990
+  }
+  Decrypting a moved value failed: Decryption failed: the ciphertext or the associated data is not authentic
+  Decrypting a moved value failed: Decryption failed: the ciphertext or the associated data is not authentic
+*/
@@ -0,0 +1,197 @@
+// Import the required modules
+const crypto = require('crypto')
+const {promisify} = require('util')
+
+// Import the argon2 module
+// https://www.npmjs.com/package/argon2
+const argon2 = require('argon2')
+
+// Promisify the crypto.scrypt method
+const scrypt = promisify(crypto.scrypt)
+
+/**
+ * Profile with the parameters for the KDFs.
+ * Parameter names are the same as in the PHC string format (e.g. `$argon2id$v=19$m=4096,t=3,p=1$...`), and the profile can be used by the other examples in this repository:
+ * - `argon2id` can be passed to `deriveKey` in argon2-kdf.js and to `deriveKeyHash` in key-wrap.js, and it can be used in the browser with hash-argon2.js and key-derivation-argon2.js
+ * - `scrypt` can be passed to `scryptHash` in ../ch3-hashing/scrypt-generate.js
+ * - The whole object can be used as `params` in the configuration of ../ch3-hashing/passwords.js
+ * @typedef {Object} KdfProfile
+ * @property {{m: number, t: number, p: number}} argon2id Parameters for Argon2id: memory cost in KiB (m), number of iterations (t), and parallelism (p)
+ * @property {{ln: number, r: number, p: number}} scrypt Parameters for scrypt: cost factor as log2(N) (ln), block size (r), and parallelization (p)
+ */
+
+/**
+ * Largest values for each parameter that the examples accept when verifying a hash or unlocking a key (see `paramLimits` in ../ch3-hashing/passwords.js, `limits` in ../ch3-hashing/scrypt-verify.js, and `kdfLimits` in key-wrap.js).
+ * The calibration never goes above these, otherwise the hashes created with the profile couldn't be verified.
+ */
+const limits = {
+    argon2id: {m: 1048576, t: 100, p: 16},
+    scrypt: {ln: 20, r: 16, p: 16},
+}
+
+/**
+ * Runs a function a few times and returns the median time it took, in milliseconds.
+ * @param {() => Promise<any>} fn Function to benchmark
+ * @returns {Promise<number>} Median time, in milliseconds
+ */
+async function benchmark(fn) {
+    const times = []
+    for (let i = 0; i < 3; i++) {
+        const start = process.hrtime.bigint()
+        await fn()
+        times.push(Number(process.hrtime.bigint() - start) / 1e6)
+    }
+    return times.sort((a, b) => a - b)[1]
+}
+
+/**
+ * Finds the parameters for Argon2id that use as much memory as allowed, then as many iterations as possible to stay within the target time.
+ * @param {number} targetMs Target time for each invocation of the KDF, in milliseconds
+ * @param {number} maxMemoryKiB Maximum amount of memory to use, in KiB
+ * @param {number} parallelism Number of threads to use
+ * @returns {Promise<{m: number, t: number, p: number, ms: number, limited: boolean}>} The parameters, the time they take on this machine, and whether the target time couldn't be reached within the memory budget and `limits`
+ */
+async function calibrateArgon2id(targetMs, maxMemoryKiB, parallelism) {
+    if (!Number.isInteger(parallelism) || parallelism < 1 || parallelism > limits.argon2id.p) {
+        throw Error('Parallelism must be between 1 and ' + limits.argon2id.p)
+    }
+    const salt = crypto.randomBytes(16)
+    const run = (m, t) => argon2.hash('correct horse battery staple', {
+        raw: true,
+        hashLength: 32,
+        salt,
+        type: argon2.argon2id,
+        memoryCost: m,
+        timeCost: t,
+        parallelism,
+    })
+
+    // Start with the largest power of 2 that fits in the memory budget, and reduce the memory until a single iteration fits in the target time
+    // Argon2 requires at least 8 KiB per thread
+    let m = 2 ** Math.floor(Math.log2(Math.min(maxMemoryKiB, limits.argon2id.m)))
+    let ms = await benchmark(() => run(m, 1))
+    while (ms > targetMs && m / 2 >= 8 * parallelism) {
+        m /= 2
+        ms = await benchmark(() => run(m, 1))
+    }
+
+    // Use the remaining time for more iterations; the time is roughly proportional to the number of iterations, so start from an estimate and then adjust it
+    // The number of iterations can't go above the limit: if the target time can't be reached within it, the memory budget is too small for this machine
+    let t = Math.min(Math.max(1, Math.floor(targetMs / ms)), limits.argon2id.t)
+    ms = await benchmark(() => run(m, t))
+    while (t > 1 && ms > targetMs) {
+        t--
+        ms = await benchmark(() => run(m, t))
+    }
+    while (ms <= targetMs && t < limits.argon2id.t) {
+        const next = await benchmark(() => run(m, t + 1))
+        if (next > targetMs) {
+            break
+        }
+        t++
+        ms = next
+    }
+
+    return {m, t, p: parallelism, ms, limited: t == limits.argon2id.t}
+}
+
+/**
+ * Finds the parameters for scrypt with the highest cost factor (N) that stays within the memory budget and the target time.
+ * If the memory budget is the limit, the remaining time is used to increase the parallelization factor (p), which doesn't require more memory.
+ * @param {number} targetMs Target time for each invocation of the KDF, in milliseconds
+ * @param {number} maxMemoryKiB Maximum amount of memory to use, in KiB
+ * @returns {Promise<{ln: number, r: number, p: number, ms: number, limited: boolean}>} The parameters, the time they take on this machine, and whether the target time couldn't be reached within the memory budget and `limits`
+ */
+async function calibrateScrypt(targetMs, maxMemoryKiB) {
+    const salt = crypto.randomBytes(16)
+    const r = 8
+    const run = (ln, p) => {
+        const N = 2 ** ln
+        return scrypt('correct horse battery staple', salt, 32, {
+            N,
+            r,
+            p,
+            maxmem: 256 * N * r,
+        })
+    }
+
+    // scrypt uses 128 * N * r bytes of memory
+    const maxLn = Math.min(Math.floor(Math.log2(maxMemoryKiB * 1024 / (128 * r))), limits.scrypt.ln)
+
+    // Start from N = 2^10 and double it until the time or memory limit is reached
+    let ln = 10
+    let ms = await benchmark(() => run(ln, 1))
+    while (ln < maxLn) {
+        const next = await benchmark(() => run(ln + 1, 1))
+        if (next > targetMs) {
+            break
+        }
+        ln++
+        ms = next
+    }
+
+    // Use the remaining time, if any, to increase p, up to the limit
+    let p = Math.min(Math.max(1, Math.floor(targetMs / ms)), limits.scrypt.p)
+    ms = await benchmark(() => run(ln, p))
+    while (p > 1 && ms > targetMs) {
+        p--
+        ms = await benchmark(() => run(ln, p))
+    }
+
+    return {ln, r, p, ms, limited: p == limits.scrypt.p}
+}
+
+/**
+ * Benchmarks Argon2id and scrypt on the current machine, and returns the parameters that take up to the target time and stay within the memory budget.
+ * The parameters are also kept within `limits`; if that's not enough to reach the target time, a warning suggests using more memory.
+ * @param {{targetMs?: number, maxMemoryKiB?: number, parallelism?: number}} [options] Target time in milliseconds (default: 500), maximum memory in KiB (default: 65536, i.e. 64 MiB), and parallelism for Argon2id (default: 1)
+ * @returns {Promise<KdfProfile>} The profile
+ */
+async function calibrate(options) {
+    const {targetMs, maxMemoryKiB, parallelism} = Object.assign({
+        targetMs: 500,
+        maxMemoryKiB: 64 * 1024,
+        parallelism: 1,
+    }, options)
+
+    const a = await calibrateArgon2id(targetMs, maxMemoryKiB, parallelism)
+    console.log(`Argon2id: m=${a.m},t=${a.t},p=${a.p} takes ${Math.round(a.ms)}ms`)
+    if (a.limited) {
+        console.log(`Argon2id: t can't be higher than ${limits.argon2id.t}; to get closer to the target time, allow more memory`)
+    }
+    const s = await calibrateScrypt(targetMs, maxMemoryKiB)
+    console.log(`scrypt: ln=${s.ln},r=${s.r},p=${s.p} takes ${Math.round(s.ms)}ms`)
+    if (s.limited) {
+        console.log(`scrypt: p can't be higher than ${limits.scrypt.p}; to get closer to the target time, allow more memory`)
+    }
+
+    return {
+        argon2id: {m: a.m, t: a.t, p: a.p},
+        scrypt: {ln: s.ln, r: s.r, p: s.p},
+    }
+}
+
+/* Example usage */
+
+/*
+Usage:
+  node kdf-calibrate.js [target time in ms] [max memory in MiB]
+*/
+
+// Wrap in an asynchronous IIFE (Immediately-Invoked Function Expression) because we need to use the await keyword
+;(async function() {
+    const targetMs = parseInt(process.argv[2] || '500', 10)
+    const maxMemoryKiB = parseInt(process.argv[3] || '64', 10) * 1024
+
+    // Run the calibration and print the profile
+    // Save the profile in your app's configuration, and re-run the calibration periodically (e.g. when the servers are upgraded)
+    const profile = await calibrate({targetMs, maxMemoryKiB})
+    console.log('Profile:', JSON.stringify(profile))
+})()
+
+/*
+Example result (will be different on every machine):
+  Argon2id: m=65536,t=11,p=1 takes 468ms
+  scrypt: ln=16,r=8,p=2 takes 338ms
+  Profile: {"argon2id":{"m":65536,"t":11,"p":1},"scrypt":{"ln":16,"r":8,"p":2}}
+*/
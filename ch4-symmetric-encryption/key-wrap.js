@@ -1,115 +1,825 @@
 const crypto = require('crypto')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
 
-// Promisify the randomBytes method
-const randomBytes = require('util').promisify(crypto.randomBytes)
+// Promisify the randomBytes and generateKeyPair methods
+const {promisify} = require('util')
+const randomBytes = promisify(crypto.randomBytes)
+const generateKeyPair = promisify(crypto.generateKeyPair)
 
 // Import the argon2 module
 // https://www.npmjs.com/package/argon2
 const argon2 = require('argon2')
 
+/**
+ * Modes that can be used to wrap keys:
+ * - 'id-aes256-wrap' is AES-KW (RFC 3394), which can only wrap keys whose length is a multiple of 8 bytes (and at least 16 bytes)
+ * - 'id-aes256-wrap-pad' is AES-KWP (RFC 5649), which can wrap secrets of any length (up to 2^32 bytes), such as PKCS#8 private keys, HMAC keys, or API tokens
+ * @typedef {'id-aes256-wrap'|'id-aes256-wrap-pad'} WrapMode
+ */
+
+/**
+ * Fixed IVs for each wrap mode, as defined by the RFCs
+ * @type Record<WrapMode, Buffer>
+ */
+const wrapIVs = {
+    'id-aes256-wrap': Buffer.from('A6A6A6A6A6A6A6A6', 'hex'),
+    'id-aes256-wrap-pad': Buffer.from('A65959A6', 'hex'),
+}
+
+/**
+ * Cost parameters for Argon2id used for new passphrase wraps.
+ * Each wrap stores the parameters it was created with, so when these are increased (for example after running kdf-calibrate.js), existing wraps are upgraded the next time the user unlocks their key with the passphrase.
+ * @type {{m: number, t: number, p: number}}
+ */
+const kdfParams = {m: 4096, t: 3, p: 1}
+
+/**
+ * Allowed range (inclusive) for each Argon2id parameter stored in a wrap.
+ * The parameters are read from storage, so they are checked before being used: a tampered profile could otherwise make each unlock use huge amounts of memory or CPU.
+ * @type {Record<'m'|'t'|'p', [number, number]>}
+ */
+const kdfLimits = {m: [8, 1048576], t: [1, 100], p: [1, 16]}
+
+/**
+ * A wrapped copy of the user key, which can be unlocked in one of these ways:
+ * - 'passphrase': with the user's passphrase, using a wrapping key derived with Argon2id
+ * - 'recovery': with a random recovery key, which is shown to the user once so they can print it or write it down
+ * - 'escrow': with the private key of an administrator, using RSA-OAEP; only the administrator's public key is needed to create it
+ * @typedef {Object} Wrap
+ * @property {'passphrase'|'recovery'|'escrow'} type How the wrap is unlocked
+ * @property {Buffer} wrappedKey Wrapped user key
+ * @property {WrapMode} [wrapMode] Mode used to wrap the user key ('passphrase' and 'recovery' only)
+ * @property {Buffer} [salt] Salt used to derive the wrapping key ('passphrase' and 'recovery' only)
+ * @property {{m: number, t: number, p: number}} [kdf] Argon2id parameters used to derive the wrapping key ('passphrase' only)
+ * @property {string} [hash] Hash of the user's passphrase, as a hex-encoded string ('passphrase' only)
+ * @property {string} [keyId] SHA-256 fingerprint of the administrator's public key, as a hex-encoded string ('escrow' only)
+ */
+
 /**
  * Type for the user's profile object
+ * Profiles created before multiple wraps were introduced have the `wrappedKey`, `wrapMode`, `salt` and `hash` properties instead of `wraps`; they are converted automatically when read
  * @typedef {Object} UserProfile
- * @property {Buffer} wrappedKey Wrapped user key
- * @property {Buffer} salt Salt (unique for the user) used to derive the wrapping key
- * @property {string} hash Hash of the user's passphrase, as a hex-encoded string
+ * @property {Wrap[]} wraps Wrapped copies of the user key; there's always one with type 'passphrase'
+ */
+/**
+ * Interface for the storage of user profiles, so apps can keep them in a file, a database, etc.
+ * All methods are asynchronous, and `get` returns null if the user doesn't exist.
+ * To change an existing profile, use `update` rather than `get` followed by `put`: otherwise, changes made by other processes between the two calls would be lost.
+ * @typedef {Object} UserStore
+ * @property {(name: string) => Promise<UserProfile|null>} get Returns the profile of a user
+ * @property {(name: string, profile: UserProfile) => Promise<void>} put Stores the profile of a user, replacing any existing one
+ * @property {(name: string, fn: (profile: UserProfile|null) => UserProfile|null|Promise<UserProfile|null>) => Promise<UserProfile|null>} update Reads the profile of a user and stores the one returned by `fn` (if it's null, nothing is changed), without other writes happening in the meanwhile; returns the stored profile
+ * @property {(name: string) => Promise<void>} delete Removes a user
+ * @property {() => Promise<string[]>} list Returns the names of all users
+ */
+
+/**
+ * Current version of the schema used by createFileUserStore.
+ * Version 1 contains the profiles as they were created before multiple wraps were introduced (with `wrappedKey`, `wrapMode`, `salt` and `hash`); version 2 contains profiles with `wraps`.
+ */
+const storeSchemaVersion = 2
+
+/**
+ * Migrations for the data in the file store, used when reading a file with an older schema version.
+ * The function at index N converts data from version N to version N+1.
+ * @type Record<number, (data: {version: number, users: Record<string, Object>}) => {version: number, users: Record<string, Object>}>
  */
+const storeMigrations = {
+    1: (data) => {
+        const users = {}
+        for (const name in data.users) {
+            users[name] = serializeProfile(normalizeProfile(deserializeProfile(data.users[name])))
+        }
+        return {version: 2, users}
+    },
+}
+
 /**
- * Our sample code doesn't use a database, so we keep all user data in an object here in memory.
- * Your app will store this to disk or in a database.
- * @type Record<string, UserProfile>
+ * Our sample code doesn't use a database, so we keep all user data in a JSON file in the temporary directory, so it persists between runs.
+ * Your app can store this in a database instead, by implementing the UserStore interface.
+ * @type UserStore
  */
-const users = {}
+const users = createFileUserStore(path.join(os.tmpdir(), 'key-wrap-users.json'))
 
 // Wrap in an asynchronous IIFE (Immediately-Invoked Function Expression) because we need to use the await keyword
 ;(async function() {
     // Create a new user with name 'alex' and passphrase 'passw0rd'
-    // This returns three things that need to be stored in the user's profile:
-    // - A random user key that is wrapped with a key derived from the user's passphrase (wrappedKey)
+    // This returns the user's profile, which contains the user key wrapped with a key derived from the user's passphrase, together with:
     // - A random salt that is used to derive the key from the user's passphrase, and it's unique for each user (salt)
+    // - The parameters used for the KDF
     // - The hash of the user's passphrase, as a hex-encoded string
-    // The user's data is then stored in the "database" - in this example, the `users` object in memory
+    // The user's data is then stored in the "database" - in this example, a JSON file
     const newUser = await createUser('passw0rd')
-    users['alex'] = newUser
+    await users.put('alex', newUser)
 
     // When the user wants to encrypt or decrypt data, we need to retrieve the user key for the current user
     // We prompt the user for the passphrase again, and if it matches then we return the user key
     // The user key can then be used to encrypt or decrypt data
     // PS: Try setting a different passphrase!
-    const userKey = await getUserKey(users['alex'], 'passw0rd')
+    const userKey = await getUserKey(await users.get('alex'), 'passw0rd')
 
     console.log({userKey})
+
+    // Add a recovery key, which the user should print or write down and store in a safe place
+    // This is shown only once: we don't store it, but only a copy of the user key wrapped with it
+    // Changes to existing profiles are made with `update`, which holds the lock on the store while the profile is modified, so changes made by other processes aren't lost
+    let recoveryKey
+    await users.update('alex', async (profile) => {
+        const recovery = await addRecoveryKey(profile, userKey)
+        recoveryKey = recovery.recoveryKey
+        return recovery.profile
+    })
+    console.log('Recovery key:', recoveryKey)
+
+    // Add a copy of the user key that can be unlocked by an administrator (escrow)
+    // Only the administrator's public key is needed here; the private key should be stored offline
+    const admin = await generateKeyPair('rsa', {modulusLength: 4096})
+    await users.update('alex', (profile) => addEscrow(profile, userKey, admin.publicKey))
+
+    // Change the passphrase: this re-wraps the user key, so data encrypted with it doesn't need to be re-encrypted
+    await users.update('alex', (profile) => changePassphrase(profile, 'passw0rd', 'correct horse battery staple'))
+    try {
+        await getUserKey(await users.get('alex'), 'passw0rd')
+    }
+    catch (err) {
+        console.log('Old passphrase:', err.message)
+    }
+
+    // If the user forgets the passphrase, they can unlock the user key with the recovery key, then set a new passphrase
+    const recoveredKey = getUserKeyWithRecoveryKey(await users.get('alex'), recoveryKey)
+    await users.update('alex', (profile) => resetPassphrase(profile, recoveredKey, 'new passphrase'))
+    console.log('Recovered with the recovery key:', recoveredKey.equals(userKey))
+
+    // An administrator can unlock the user key with their private key too
+    const escrowedKey = getUserKeyWithEscrow(await users.get('alex'), admin.privateKey)
+    console.log('Recovered with the escrow key:', escrowedKey.equals(userKey))
+
+    // When the KDF parameters are increased, passphrase wraps are upgraded the next time the user unlocks their key
+    // If the wrap doesn't need to be upgraded, `upgraded` is null, and the profile isn't changed
+    kdfParams.t = 4
+    await users.update('alex', async (profile) => (await unlockUser(profile, 'new passphrase')).upgraded)
+    console.log('KDF parameters after the upgrade:', (await users.get('alex')).wraps.find((w) => w.type == 'passphrase').kdf)
+
+    // The user key doesn't need to be a 256-bit key: the wrapping key can protect secrets of any length, such as an API token
+    // Because the length is not a multiple of 8 bytes, this uses AES-KWP (RFC 5649)
+    await users.put('sam', await createUser('hunter2', Buffer.from('example-api-token-7Hq2LwX9z', 'utf8')))
+    console.log({
+        wrapMode: (await users.get('sam')).wraps[0].wrapMode,
+        apiToken: (await getUserKey(await users.get('sam'), 'hunter2')).toString('utf8')
+    })
+
+    // The profiles are stored in the file, and they can be read again after the process restarts
+    console.log('Users in the store:', await users.list())
 })()
 
+/*
+Example result (will be different every time):
+  {
+    userKey: <Buffer a2 fb 75 d7 b7 1f de ec 80 93 ab 4d b7 c4 4e c7 68 ae 16 cd db 5c 7e 9a dc 7e 7e 25 d8 c2 c7 c2>
+  }
+  Recovery key: C12B-4C84-7C67-31C3-90A4-F9A3-064D-7492
+  Old passphrase: The passphrase is not correct
+  Recovered with the recovery key: true
+  Recovered with the escrow key: true
+  KDF parameters after the upgrade: { m: 4096, t: 4, p: 1 }
+  {
+    wrapMode: 'id-aes256-wrap-pad',
+    apiToken: 'example-api-token-7Hq2LwX9z'
+  }
+  Users in the store: [ 'alex', 'sam' ]
+*/
+
 /**
  * Creates a new user, generating a random user key and wrapping it with a key derived from the user's passphrase and a random salt. It also returns the hash of the user's passphrase.
  * @param {string} passphrase User's passphrase
- * @returns {Promise<UserProfile>} The user's salt, the wrapped user key, and the hash of the user's passphrase
+ * @param {Buffer} [secret] Optional secret to protect with the user's passphrase, of any length; if not set, a random 256-bit key is generated
+ * @returns {Promise<UserProfile>} The user's profile, with the user key wrapped with the passphrase
  */
-async function createUser(passphrase) {
-    // Calculate a new salt for this user which will be used to derive the wrapping key (UK) and hash the passphrase
-    // Salts for Argon2 should be 16-byte long
-    const salt = await randomBytes(16)
+async function createUser(passphrase, secret) {
+    // Calculate a new 256-bit key as the user key, randomly, unless a secret was passed
+    const userKey = secret || await randomBytes(32)
 
-    // Derive the wrapping key from the user's passphrase as well as calculating the hash of the passphrase
-    const derived = await deriveKeyHash(passphrase, salt)
-
-    // Calculate a new 256-bit key as the user key, randomly
-    const userKey = await randomBytes(32)
-
-    // Wrap the user key with the wrapping key, using AES-KW (AES-256 in "wrap" mode)
-    // Note that the IV is always 0xA6A6A6A6A6A6A6A6 as defined by RFC3394
-    const iv = Buffer.from('A6A6A6A6A6A6A6A6', 'hex')
-    const cipher = crypto.createCipheriv('id-aes256-wrap', derived.wrappingKey, iv)
-    const wrappedKey = Buffer.concat([
-        cipher.update(userKey),
-        cipher.final()
-    ])
-
-    // Return the user's salt, wrapped key, and the hash of the passphrase
     return {
-        salt,
-        wrappedKey,
-        hash: derived.hash
+        wraps: [await wrapWithPassphrase(userKey, passphrase)]
     }
 }
 
 /**
  * Returns the user key (the encryption key for the user's data) by un-wrapping the one stored in the user's profile. This requires the user's passphrase. If the passphrase doesn't match the one that was submitted when the user was created, then an error is returned.
- * @param {UserProfile} profile User's profile object, containing the wrapped key, the salt, and the password hash
+ * @param {UserProfile} profile User's profile object
  * @param {string} passphrase User's passphrase
  * @returns {Promise<Buffer>} User key
  */
 async function getUserKey(profile, passphrase) {
+    return (await unlockUser(profile, passphrase)).userKey
+}
+
+/**
+ * Unlocks the user key with the user's passphrase, like getUserKey.
+ * If the passphrase wrap was created with KDF parameters that are weaker than the current ones (in `kdfParams`), it also returns an updated profile in which the user key is wrapped again with the current parameters; this should be stored in place of the old profile.
+ * Wraps are never re-wrapped with parameters that are lower than the ones they already use, so lowering `kdfParams` doesn't downgrade existing wraps.
+ * @param {UserProfile} profile User's profile object
+ * @param {string} passphrase User's passphrase
+ * @returns {Promise<{userKey: Buffer, upgraded: UserProfile|null}>} User key, and the updated profile if the wrap was upgraded (or null)
+ */
+async function unlockUser(profile, passphrase) {
+    profile = normalizeProfile(profile)
+    const wrap = profile.wraps.find((w) => w.type == 'passphrase')
+    if (!wrap) {
+        throw Error('The profile doesn\'t have a passphrase wrap')
+    }
+    validateKdf(wrap.kdf)
+
     // Start by deriving the wrapping key and passphrase hash
-    // We are passing the salt that is stored in the user's profile
-    const derived = await deriveKeyHash(passphrase, profile.salt)
+    // We are passing the salt and KDF parameters that are stored in the wrap
+    const derived = await deriveKeyHash(passphrase, wrap.salt, wrap.kdf)
 
     // Check if the hash of the passphrase matches the one in the user's profile
-    if (derived.hash != profile.hash) {
+    if (derived.hash != wrap.hash) {
         throw Error('The passphrase is not correct')
     }
 
-    // Unwrap the user key using AES-KW (AES-256 in "wrap" mode), using the wrapping key
-    // Note that the IV is always 0xA6A6A6A6A6A6A6A6 as defined by RFC3394
-    const iv = Buffer.from('A6A6A6A6A6A6A6A6', 'hex')
-    const decipher = crypto.createDecipheriv('id-aes256-wrap', derived.wrappingKey, iv)
-    const userKey = Buffer.concat([
-        decipher.update(profile.wrappedKey),
-        decipher.final()
+    // Unwrap the user key using the wrapping key, with the mode recorded in the wrap
+    const userKey = unwrapKey(derived.wrappingKey, wrap.wrappedKey, wrap.wrapMode)
+
+    // If the current KDF parameters are stronger, wrap the user key again
+    let upgraded = null
+    if (isStrongerKdf(kdfParams, wrap.kdf)) {
+        upgraded = await resetPassphrase(profile, userKey, passphrase)
+    }
+
+    return {userKey, upgraded}
+}
+
+/**
+ * Changes the user's passphrase.
+ * This wraps the same user key with the new passphrase, so data that was encrypted with the user key doesn't need to be re-encrypted. Other wraps (recovery key and escrow) are kept.
+ * @param {UserProfile} profile User's profile object
+ * @param {string} oldPassphrase Current passphrase
+ * @param {string} newPassphrase New passphrase
+ * @returns {Promise<UserProfile>} The updated profile
+ */
+async function changePassphrase(profile, oldPassphrase, newPassphrase) {
+    // Unlocking the user key with the current passphrase also checks that it's correct
+    const userKey = await getUserKey(profile, oldPassphrase)
+    return resetPassphrase(profile, userKey, newPassphrase)
+}
+
+/**
+ * Sets a new passphrase for the user, replacing the existing passphrase wrap.
+ * This requires the user key, which can be obtained with another unlock method, for example with a recovery key if the user forgot the passphrase.
+ * @param {UserProfile} profile User's profile object
+ * @param {Buffer} userKey User key
+ * @param {string} newPassphrase New passphrase
+ * @returns {Promise<UserProfile>} The updated profile
+ */
+async function resetPassphrase(profile, userKey, newPassphrase) {
+    profile = normalizeProfile(profile)
+    const wrap = await wrapWithPassphrase(userKey, newPassphrase)
+    return {
+        ...profile,
+        wraps: [wrap, ...profile.wraps.filter((w) => w.type != 'passphrase')]
+    }
+}
+
+/**
+ * Adds a recovery key to the user's profile, replacing any existing one.
+ * The recovery key is a random 128-bit value, formatted to be printed or written down (for example "3F9A-07C2-..."); it's returned only once and it's not stored.
+ * Because it's random, it doesn't need a slow KDF like passphrases: the wrapping key is derived from it with HKDF.
+ * @param {UserProfile} profile User's profile object
+ * @param {Buffer} userKey User key
+ * @returns {Promise<{profile: UserProfile, recoveryKey: string}>} The updated profile, and the recovery key to show to the user
+ */
+async function addRecoveryKey(profile, userKey) {
+    profile = normalizeProfile(profile)
+
+    // Generate the recovery key, and format it as groups of 4 hex characters
+    const recoveryKeyBytes = await randomBytes(16)
+    const recoveryKey = recoveryKeyBytes.toString('hex').toUpperCase().match(/.{4}/g).join('-')
+
+    // Wrap the user key with a key derived from the recovery key
+    const salt = await randomBytes(16)
+    const wrapMode = 'id-aes256-wrap-pad'
+    const wrap = {
+        type: 'recovery',
+        salt,
+        wrapMode,
+        wrappedKey: wrapKey(deriveRecoveryWrappingKey(recoveryKeyBytes, salt), userKey, wrapMode)
+    }
+
+    return {
+        profile: {
+            ...profile,
+            wraps: [...profile.wraps.filter((w) => w.type != 'recovery'), wrap]
+        },
+        recoveryKey
+    }
+}
+
+/**
+ * Returns the user key by un-wrapping it with the recovery key.
+ * @param {UserProfile} profile User's profile object
+ * @param {string} recoveryKey The recovery key, as shown to the user; dashes, spaces, and case are ignored
+ * @returns {Buffer} User key
+ */
+function getUserKeyWithRecoveryKey(profile, recoveryKey) {
+    const wrap = normalizeProfile(profile).wraps.find((w) => w.type == 'recovery')
+    if (!wrap) {
+        throw Error('The user doesn\'t have a recovery key')
+    }
+
+    const normalized = recoveryKey.replace(/[\s-]/g, '')
+    if (!/^[0-9a-fA-F]{32}$/.test(normalized)) {
+        throw Error('The recovery key is not valid')
+    }
+    const wrappingKey = deriveRecoveryWrappingKey(Buffer.from(normalized, 'hex'), wrap.salt)
+
+    // Unwrapping fails if the recovery key is not correct, because AES-KW(P) checks the integrity of the wrapped key
+    try {
+        return unwrapKey(wrappingKey, wrap.wrappedKey, wrap.wrapMode)
+    }
+    catch (err) {
+        throw Error('The recovery key is not correct')
+    }
+}
+
+/**
+ * Adds a copy of the user key encrypted with an administrator's RSA public key (escrow), replacing any existing one.
+ * @param {UserProfile} profile User's profile object
+ * @param {Buffer} userKey User key
+ * @param {crypto.KeyObject} adminPublicKey Administrator's RSA public key
+ * @returns {UserProfile} The updated profile
+ */
+function addEscrow(profile, userKey, adminPublicKey) {
+    profile = normalizeProfile(profile)
+
+    // Encrypt the user key with RSA-OAEP, using SHA-256
+    const wrap = {
+        type: 'escrow',
+        keyId: publicKeyFingerprint(adminPublicKey),
+        wrappedKey: crypto.publicEncrypt({
+            key: adminPublicKey,
+            padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+            oaepHash: 'sha256'
+        }, userKey)
+    }
+
+    return {
+        ...profile,
+        wraps: [...profile.wraps.filter((w) => w.type != 'escrow'), wrap]
+    }
+}
+
+/**
+ * Returns the user key by decrypting the escrow copy with the administrator's private key.
+ * @param {UserProfile} profile User's profile object
+ * @param {crypto.KeyObject} adminPrivateKey Administrator's RSA private key
+ * @returns {Buffer} User key
+ */
+function getUserKeyWithEscrow(profile, adminPrivateKey) {
+    const wrap = normalizeProfile(profile).wraps.find((w) => w.type == 'escrow')
+    if (!wrap) {
+        throw Error('The user doesn\'t have an escrow key')
+    }
+
+    // Check that the escrow copy was created for this administrator's key
+    if (wrap.keyId != publicKeyFingerprint(crypto.createPublicKey(adminPrivateKey))) {
+        throw Error('The escrow key was created for a different administrator key')
+    }
+
+    return crypto.privateDecrypt({
+        key: adminPrivateKey,
+        padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+        oaepHash: 'sha256'
+    }, wrap.wrappedKey)
+}
+
+/**
+ * Wraps the user key with a key derived from a passphrase, using the current KDF parameters.
+ * @param {Buffer} userKey User key
+ * @param {string} passphrase Passphrase
+ * @returns {Promise<Wrap>} The passphrase wrap
+ */
+async function wrapWithPassphrase(userKey, passphrase) {
+    // Calculate a new salt which will be used to derive the wrapping key and hash the passphrase
+    // Salts for Argon2 should be 16-byte long
+    const salt = await randomBytes(16)
+
+    // Derive the wrapping key from the user's passphrase as well as calculating the hash of the passphrase
+    // We store a copy of the parameters, so they're not affected by later changes to kdfParams
+    // The parameters are checked here too, so an invalid configuration fails now, rather than creating a wrap that can't be unlocked
+    const kdf = {...kdfParams}
+    validateKdf(kdf)
+    const derived = await deriveKeyHash(passphrase, salt, kdf)
+
+    // Wrap the user key with the wrapping key, using AES-KWP (AES-256 in "wrap" mode with padding), which works with keys of any length
+    const wrapMode = 'id-aes256-wrap-pad'
+    return {
+        type: 'passphrase',
+        salt,
+        kdf,
+        hash: derived.hash,
+        wrapMode,
+        wrappedKey: wrapKey(derived.wrappingKey, userKey, wrapMode)
+    }
+}
+
+/**
+ * Checks that the KDF parameters of a wrap are all present, and within the limits in `kdfLimits`.
+ * @param {{m: number, t: number, p: number}} kdf Argon2id parameters
+ * @throws {Error} If the parameters are not valid
+ */
+function validateKdf(kdf) {
+    if (!kdf || typeof kdf != 'object') {
+        throw Error('Invalid KDF parameters')
+    }
+    for (const k in kdfLimits) {
+        const [min, max] = kdfLimits[k]
+        if (!Number.isInteger(kdf[k]) || kdf[k] < min || kdf[k] > max) {
+            throw Error('Invalid KDF parameter: ' + k)
+        }
+    }
+    // Argon2 requires at least 8KB of memory for each lane
+    if (kdf.m < 8 * kdf.p) {
+        throw Error('Invalid KDF parameter: m')
+    }
+}
+
+/**
+ * Returns true if the KDF parameters `a` are strictly stronger than `b`: none of them is lower, and at least one is higher.
+ * @param {{m: number, t: number, p: number}} a Argon2id parameters
+ * @param {{m: number, t: number, p: number}} b Argon2id parameters
+ * @returns {boolean} True if `a` is stronger than `b`
+ */
+function isStrongerKdf(a, b) {
+    const keys = Object.keys(kdfLimits)
+    return keys.every((k) => a[k] >= b[k]) && keys.some((k) => a[k] > b[k])
+}
+
+/**
+ * Converts profiles created before multiple wraps were introduced.
+ * @param {UserProfile|{wrappedKey: Buffer, wrapMode?: WrapMode, salt: Buffer, hash: string}} profile User's profile object
+ * @returns {UserProfile} The profile, with the `wraps` property
+ */
+function normalizeProfile(profile) {
+    if (profile.wraps) {
+        return profile
+    }
+    return {
+        wraps: [{
+            type: 'passphrase',
+            salt: profile.salt,
+            // These profiles used the default parameters, and AES-KW if the wrap mode is not set
+            kdf: {m: 4096, t: 3, p: 1},
+            hash: profile.hash,
+            wrapMode: profile.wrapMode || 'id-aes256-wrap',
+            wrappedKey: profile.wrappedKey
+        }]
+    }
+}
+
+/**
+ * Creates a UserStore that keeps all profiles in a JSON file.
+ * - Writes are atomic: the data is written to a temporary file which is flushed to disk (fsync) and then renamed over the old file, so the file is never left partially written, even if the process crashes
+ * - Writes are serialized with a lock file, so multiple processes can share the same store without losing updates
+ * - Reads don't need the lock, because the file is always replaced atomically, so they can happen concurrently
+ * - The file contains a schema version; files created with an older version are migrated when read, and the migrated data is saved with the next write
+ * @param {string} file Path to the JSON file; it's created if it doesn't exist
+ * @param {{lockTimeout?: number, staleLockTimeout?: number}} [options] How long to wait for the lock, in ms (default: 10s), and after how long a lock file is considered stale, for example because the process that created it crashed (default: 30s)
+ * @returns {UserStore} The store
+ */
+function createFileUserStore(file, options) {
+    options = Object.assign({lockTimeout: 10000, staleLockTimeout: 30000}, options)
+
+    return {
+        get: async (name) => {
+            const data = await readStoreFile(file)
+            return Object.prototype.hasOwnProperty.call(data.users, name) ? deserializeProfile(data.users[name]) : null
+        },
+        put: (name, profile) => updateStoreFile(file, options, (data) => {
+            data.users[name] = serializeProfile(profile)
+        }),
+        update: async (name, fn) => {
+            let result = null
+            await updateStoreFile(file, options, async (data) => {
+                const current = Object.prototype.hasOwnProperty.call(data.users, name) ? deserializeProfile(data.users[name]) : null
+                result = await fn(current)
+                if (!result) {
+                    // Nothing to write
+                    result = current
+                    return false
+                }
+                data.users[name] = serializeProfile(result)
+            })
+            return result
+        },
+        delete: (name) => updateStoreFile(file, options, (data) => {
+            delete data.users[name]
+        }),
+        list: async () => Object.keys((await readStoreFile(file)).users),
+    }
+}
+
+/**
+ * Reads the data from the store file, and migrates it to the current schema version if needed.
+ * @param {string} file Path to the JSON file
+ * @returns {Promise<{version: number, users: Record<string, Object>}>} The data in the file; if the file doesn't exist, an empty store
+ */
+async function readStoreFile(file) {
+    let data
+    try {
+        data = JSON.parse(await fs.promises.readFile(file, 'utf8'))
+    }
+    catch (err) {
+        if (err.code == 'ENOENT') {
+            return {version: storeSchemaVersion, users: {}}
+        }
+        throw err
+    }
+
+    // Files without a version contain just the `users` object from the first version of the schema
+    if (!data.version) {
+        data = {version: 1, users: data}
+    }
+    if (data.version > storeSchemaVersion) {
+        throw Error('The store was created with a newer schema version: ' + data.version)
+    }
+    while (data.version < storeSchemaVersion) {
+        data = storeMigrations[data.version](data)
+    }
+    return data
+}
+
+/**
+ * Updates the data in the store file while holding the lock, then writes it atomically.
+ * The lock is held while `update` runs, so it should complete well before the lock is considered stale (see createFileUserStore).
+ * @param {string} file Path to the JSON file
+ * @param {{lockTimeout: number, staleLockTimeout: number}} options Options for the lock
+ * @param {(data: {version: number, users: Record<string, Object>}) => void|boolean|Promise<void|boolean>} update Function that modifies the data in-place; if it returns false, the file is not written
+ */
+async function updateStoreFile(file, options, update) {
+    const release = await acquireLock(file + '.lock', options)
+    try {
+        // Read the data while holding the lock, so we don't overwrite changes made by other processes
+        const data = await readStoreFile(file)
+        if (await update(data) === false) {
+            return
+        }
+        await writeFileAtomic(file, JSON.stringify(data, null, 2))
+    }
+    finally {
+        await release()
+    }
+}
+
+/**
+ * Writes a file atomically: the content is written to a temporary file in the same directory, flushed to disk, and then renamed over the destination.
+ * @param {string} file Path to the file
+ * @param {string} content Content to write
+ */
+async function writeFileAtomic(file, content) {
+    // The temporary file must be in the same directory, because renames are atomic only within the same filesystem
+    const tmp = file + '.' + (await randomBytes(6)).toString('hex') + '.tmp'
+    // The file may contain password hashes, so it's readable by the owner only
+    const fh = await fs.promises.open(tmp, 'wx', 0o600)
+    try {
+        await fh.writeFile(content, 'utf8')
+        await fh.sync()
+    }
+    catch (err) {
+        await fh.close()
+        await fs.promises.unlink(tmp)
+        throw err
+    }
+    await fh.close()
+    await fs.promises.rename(tmp, file)
+
+    // Flush the directory too, so the rename is persisted on disk
+    // This isn't supported on all platforms (e.g. Windows), so errors are ignored
+    let dir
+    try {
+        dir = await fs.promises.open(path.dirname(file), 'r')
+        await dir.sync()
+    }
+    catch (err) {
+        // Ignore
+    }
+    finally {
+        if (dir) {
+            await dir.close()
+        }
+    }
+}
+
+/**
+ * Acquires a lock by creating a lock file exclusively, waiting for it if it's held by another process.
+ * The lock file contains a random token that is unique for each acquisition, so the lock is released only by its owner.
+ * @param {string} lockFile Path to the lock file
+ * @param {{lockTimeout: number, staleLockTimeout: number}} options Options for the lock
+ * @returns {Promise<() => Promise<void>>} Function that releases the lock
+ */
+async function acquireLock(lockFile, options) {
+    const token = (await randomBytes(16)).toString('hex')
+    const start = Date.now()
+    while (true) {
+        try {
+            // The "wx" flag fails if the file already exists
+            const fh = await fs.promises.open(lockFile, 'wx')
+            try {
+                await fh.writeFile(token)
+            }
+            finally {
+                await fh.close()
+            }
+            return () => releaseLock(lockFile, token)
+        }
+        catch (err) {
+            if (err.code != 'EEXIST') {
+                throw err
+            }
+        }
+
+        // Remove the lock file if it's stale
+        try {
+            if (await removeStaleLock(lockFile, options.staleLockTimeout)) {
+                continue
+            }
+        }
+        catch (err) {
+            // The lock was released in the meanwhile
+            if (err.code == 'ENOENT') {
+                continue
+            }
+            throw err
+        }
+
+        if (Date.now() - start > options.lockTimeout) {
+            throw Error('Timed out waiting for the lock on ' + lockFile)
+        }
+        await new Promise((resolve) => setTimeout(resolve, 20 + Math.random() * 30))
+    }
+}
+
+/**
+ * Releases a lock, removing the lock file only if it still contains our token.
+ * If the lock was held for longer than the stale timeout, another process may have taken it over: in this case, the lock file belongs to that process, and it's left in place.
+ * @param {string} lockFile Path to the lock file
+ * @param {string} token Token written to the lock file when the lock was acquired
+ */
+async function releaseLock(lockFile, token) {
+    try {
+        if (await fs.promises.readFile(lockFile, 'utf8') == token) {
+            await fs.promises.unlink(lockFile)
+        }
+    }
+    catch (err) {
+        if (err.code != 'ENOENT') {
+            throw err
+        }
+    }
+}
+
+/**
+ * Removes a lock file if it's stale.
+ * The lock file is first moved out of the way with a rename, which is atomic, so when multiple processes find the same stale lock, only one of them removes it. If the file that was moved is not the stale one (because another process replaced it with a new lock in the meanwhile), it's put back.
+ * @param {string} lockFile Path to the lock file
+ * @param {number} staleLockTimeout After how long a lock file is considered stale, in ms
+ * @returns {Promise<boolean>} True if the lock file was removed
+ */
+async function removeStaleLock(lockFile, staleLockTimeout) {
+    const stat = await fs.promises.stat(lockFile)
+    if (Date.now() - stat.mtimeMs <= staleLockTimeout) {
+        return false
+    }
+    const owner = await fs.promises.readFile(lockFile, 'utf8')
+
+    const moved = lockFile + '.' + (await randomBytes(6)).toString('hex') + '.stale'
+    await fs.promises.rename(lockFile, moved)
+    const movedStat = await fs.promises.stat(moved)
+    if (movedStat.mtimeMs != stat.mtimeMs || await fs.promises.readFile(moved, 'utf8') != owner) {
+        // We moved a lock that is not stale: put it back, unless yet another process has created a lock file already
+        // Unlike rename, link fails if the destination exists, so it never overwrites a lock
+        try {
+            await fs.promises.link(moved, lockFile)
+        }
+        catch (err) {
+            if (err.code != 'EEXIST') {
+                throw err
+            }
+        }
+        await fs.promises.unlink(moved)
+        return false
+    }
+    await fs.promises.unlink(moved)
+    return true
+}
+
+/**
+ * Converts a profile to an object that can be serialized as JSON, encoding Buffers as base64.
+ * @param {UserProfile|Object} profile User's profile object
+ * @returns {Object} The serialized profile
+ */
+function serializeProfile(profile) {
+    const encode = (obj) => {
+        const result = {}
+        for (const key in obj) {
+            result[key] = Buffer.isBuffer(obj[key]) ? obj[key].toString('base64') : obj[key]
+        }
+        return result
+    }
+    return profile.wraps ? {wraps: profile.wraps.map(encode)} : encode(profile)
+}
+
+/**
+ * Converts a serialized profile back to a profile object, decoding the base64-encoded values.
+ * @param {Object} data The serialized profile
+ * @returns {UserProfile|Object} User's profile object
+ */
+function deserializeProfile(data) {
+    const decode = (obj) => {
+        const result = {...obj}
+        for (const key of ['salt', 'wrappedKey']) {
+            if (typeof obj[key] == 'string') {
+                result[key] = Buffer.from(obj[key], 'base64')
+            }
+        }
+        return result
+    }
+    return data.wraps ? {wraps: data.wraps.map(decode)} : decode(data)
+}
+
+/**
+ * Derives the wrapping key from a recovery key, using HKDF with SHA-256.
+ * @param {Buffer} recoveryKey The 128-bit recovery key
+ * @param {Buffer} salt Salt
+ * @returns {Buffer} The 256-bit wrapping key
+ */
+function deriveRecoveryWrappingKey(recoveryKey, salt) {
+    return Buffer.from(crypto.hkdfSync('sha256', recoveryKey, salt, 'key-wrap recovery key', 32))
+}
+
+/**
+ * Returns the SHA-256 fingerprint of a public key.
+ * @param {crypto.KeyObject} publicKey Public key
+ * @returns {string} Fingerprint, as a hex-encoded string
+ */
+function publicKeyFingerprint(publicKey) {
+    return crypto.createHash('sha256')
+        .update(publicKey.export({type: 'spki', format: 'der'}))
+        .digest('hex')
+}
+
+/**
+ * Wraps a key with the wrapping key, using AES-KW or AES-KWP.
+ * @param {Buffer} wrappingKey The 256-bit wrapping key
+ * @param {Buffer} key Key to wrap; with 'id-aes256-wrap', its length must be a multiple of 8 bytes
+ * @param {WrapMode} mode Wrap mode
+ * @returns {Buffer} The wrapped key
+ */
+function wrapKey(wrappingKey, key, mode) {
+    if (!wrapIVs[mode]) {
+        throw Error('Unsupported wrap mode: ' + mode)
+    }
+    // The IV is fixed for each mode: 0xA6A6A6A6A6A6A6A6 for AES-KW (RFC 3394), and 0xA65959A6 for AES-KWP (RFC 5649), which is followed by the length of the key
+    const cipher = crypto.createCipheriv(mode, wrappingKey, wrapIVs[mode])
+    return Buffer.concat([
+        cipher.update(key),
+        cipher.final()
     ])
+}
 
-    // Return the user key
-    return userKey
+/**
+ * Unwraps a key with the wrapping key, using AES-KW or AES-KWP.
+ * Throws an error if the wrapped key was not created with this wrapping key and mode (or if it was tampered with).
+ * @param {Buffer} wrappingKey The 256-bit wrapping key
+ * @param {Buffer} wrappedKey The wrapped key
+ * @param {WrapMode} mode Wrap mode
+ * @returns {Buffer} The key
+ */
+function unwrapKey(wrappingKey, wrappedKey, mode) {
+    if (!wrapIVs[mode]) {
+        throw Error('Unsupported wrap mode: ' + mode)
+    }
+    const decipher = crypto.createDecipheriv(mode, wrappingKey, wrapIVs[mode])
+    return Buffer.concat([
+        decipher.update(wrappedKey),
+        decipher.final()
+    ])
 }
 
 /**
  * Derive a 32-byte wrapping key (WK) from a given passphrase and salt, using Argon2 with explicit parameters. It also returns a 32-byte hash of the passphrase that is calculated with Argon2 too.
  * @param {string} passphrase User's passphrase
  * @param {Buffer} salt Salt used for this key; should be 16-byte long
+ * @param {{m: number, t: number, p: number}} [cost] Optional cost parameters for Argon2id, such as the `argon2id` property of the profile returned by kdf-calibrate.js. If not set, it defaults to m=4096, t=3, p=1
  * @returns {Promise<{wrappingKey: Buffer, hash: string}>} The wrapping key derived with Argon2 (as a Buffer) and the passphrase hash (as a hex-encoded string).
  */
-async function deriveKeyHash(passphrase, salt) {
+async function deriveKeyHash(passphrase, salt, cost) {
+    // Default cost parameters
+    cost = cost || {m: 4096, t: 3, p: 1}
+
     try {
         // Parameters for argon2
         const params = {
@@ -121,11 +831,11 @@ async function deriveKeyHash(passphrase, salt) {
             salt: salt,
             // We need to make them all parameters explicit just in case the default ones in the library changed.
             // In fact, if that happened, the same passphrase and salt would return a different key and we wouldn't be able to decrypt our data encrypted with that key and salt combination.
-            // You can tweak these as needed.
+            // You can tweak these as needed, for example using kdf-calibrate.js.
             type: argon2.argon2id,
-            timeCost: 3,
-            memoryCost: 4096,
-            parallelism: 1,
+            timeCost: cost.t,
+            memoryCost: cost.m,
+            parallelism: cost.p,
             version: 0x13,
         }
 
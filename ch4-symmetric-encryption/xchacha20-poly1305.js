@@ -0,0 +1,249 @@
+// Import the required modules
+const crypto = require('crypto')
+
+// Promisify the randomBytes method
+const randomBytes = require('util').promisify(crypto.randomBytes)
+
+/*
+XChaCha20-Poly1305 is a variant of ChaCha20-Poly1305 that uses 24-byte nonces.
+With 12-byte nonces, a key can safely encrypt only a limited number of messages with random nonces (about 2^32), before the risk of a collision becomes too high; with 24-byte nonces, random nonces can be used for virtually unlimited messages.
+
+Node.js doesn't support XChaCha20 natively, so this is built on top of the "chacha20-poly1305" cipher, as described in draft-irtf-cfrg-xchacha:
+  1. A subkey is derived from the key and the first 16 bytes of the nonce, using HChaCha20
+  2. The message is encrypted with ChaCha20-Poly1305 using the subkey, and a 12-byte nonce made of 4 zero bytes followed by the last 8 bytes of the nonce
+*/
+
+// Error thrown when decryption fails; copied from aes-256-gcm.js
+class AuthenticationError extends Error {
+    constructor(message) {
+        super(message || 'Decryption failed: the ciphertext or the associated data is not authentic')
+        this.name = 'AuthenticationError'
+    }
+}
+
+/**
+ * HChaCha20 function, which derives a 256-bit subkey from a key and a 16-byte nonce.
+ * @param {Buffer} key A 256-bit key
+ * @param {Buffer} nonce A 16-byte nonce
+ * @returns {Buffer} The 256-bit subkey
+ */
+function hchacha20(key, nonce) {
+    if (key.length != 32 || nonce.length != 16) {
+        throw Error('Invalid key or nonce length')
+    }
+
+    // Initialize the state like ChaCha20, but with the 16-byte nonce in place of the counter and nonce
+    // The constants are "expand 32-byte k"
+    const state = new Uint32Array(16)
+    state[0] = 0x61707865
+    state[1] = 0x3320646e
+    state[2] = 0x79622d32
+    state[3] = 0x6b206574
+    for (let i = 0; i < 8; i++) {
+        state[4 + i] = key.readUInt32LE(i * 4)
+    }
+    for (let i = 0; i < 4; i++) {
+        state[12 + i] = nonce.readUInt32LE(i * 4)
+    }
+
+    // 20 rounds (10 "double rounds" of column rounds and diagonal rounds)
+    for (let i = 0; i < 10; i++) {
+        quarterRound(state, 0, 4, 8, 12)
+        quarterRound(state, 1, 5, 9, 13)
+        quarterRound(state, 2, 6, 10, 14)
+        quarterRound(state, 3, 7, 11, 15)
+        quarterRound(state, 0, 5, 10, 15)
+        quarterRound(state, 1, 6, 11, 12)
+        quarterRound(state, 2, 7, 8, 13)
+        quarterRound(state, 3, 4, 9, 14)
+    }
+
+    // Unlike ChaCha20, the initial state isn't added back; the subkey is made of the first and last rows of the state
+    const subkey = Buffer.alloc(32)
+    for (let i = 0; i < 4; i++) {
+        subkey.writeUInt32LE(state[i], i * 4)
+        subkey.writeUInt32LE(state[12 + i], 16 + i * 4)
+    }
+    return subkey
+}
+
+/**
+ * ChaCha quarter round, which updates the state in-place.
+ * @param {Uint32Array} s The state
+ * @param {number} a Index of the first word
+ * @param {number} b Index of the second word
+ * @param {number} c Index of the third word
+ * @param {number} d Index of the fourth word
+ */
+function quarterRound(s, a, b, c, d) {
+    // The Uint32Array truncates the results of the additions to 32 bits
+    s[a] += s[b]
+    s[d] = rotl(s[d] ^ s[a], 16)
+    s[c] += s[d]
+    s[b] = rotl(s[b] ^ s[c], 12)
+    s[a] += s[b]
+    s[d] = rotl(s[d] ^ s[a], 8)
+    s[c] += s[d]
+    s[b] = rotl(s[b] ^ s[c], 7)
+}
+
+/**
+ * Rotates a 32-bit integer to the left.
+ * @param {number} v Value
+ * @param {number} n Number of bits
+ * @returns {number} The rotated value
+ */
+function rotl(v, n) {
+    return (v << n) | (v >>> (32 - n))
+}
+
+/**
+ * Returns the subkey and the 12-byte nonce to use with ChaCha20-Poly1305, from the key and the 24-byte nonce.
+ * @param {Buffer} key A 256-bit key
+ * @param {Buffer} nonce A 24-byte nonce
+ * @returns {{subkey: Buffer, chachaNonce: Buffer}} Subkey and nonce for ChaCha20-Poly1305
+ */
+function deriveSubkey(key, nonce) {
+    const subkey = hchacha20(key, nonce.slice(0, 16))
+    const chachaNonce = Buffer.concat([Buffer.alloc(4), nonce.slice(16, 24)])
+    return {subkey, chachaNonce}
+}
+
+/**
+ * Encrypts the plaintext message using the given key with XChaCha20-Poly1305
+ * @param {Buffer} key A 256-bit key
+ * @param {string} plaintext The message to encrypt, as a string
+ * @param {Buffer|string} [aad] Optional Additional Authenticated Data (AAD), which is authenticated but not encrypted; for example, the ID of the record the message belongs to
+ * @returns {Promise<Buffer>} The ciphertext (with the nonce and authentication tag prepended)
+ */
+async function encrypt(key, plaintext, aad) {
+    // Generate a random nonce of 24 bytes
+    const nonce = await randomBytes(24)
+    return encryptWithNonce(key, nonce, plaintext, aad)
+}
+
+/**
+ * Encrypts the plaintext message with XChaCha20-Poly1305, using the given nonce.
+ * This is used by encrypt() and by the test vectors: in your code, always use encrypt(), which generates a random nonce.
+ * @param {Buffer} key A 256-bit key
+ * @param {Buffer} nonce A 24-byte nonce
+ * @param {string|Buffer} plaintext The message to encrypt
+ * @param {Buffer|string} [aad] Optional Additional Authenticated Data (AAD)
+ * @returns {Buffer} The ciphertext (with the nonce and authentication tag prepended)
+ */
+function encryptWithNonce(key, nonce, plaintext, aad) {
+    // Derive the subkey and the nonce for ChaCha20-Poly1305
+    const {subkey, chachaNonce} = deriveSubkey(key, nonce)
+
+    // Encrypt the message
+    const cipher = crypto.createCipheriv('chacha20-poly1305', subkey, chachaNonce, {
+        authTagLength: 16
+    })
+    if (aad) {
+        cipher.setAAD(Buffer.from(aad))
+    }
+    const encrypted = Buffer.concat([
+        cipher.update(plaintext, 'utf8'),
+        cipher.final()
+    ])
+
+    // Prepend the nonce and the authentication tag to the ciphertext
+    // This is the same layout as in chacha20-poly1305.js, but with a 24-byte nonce
+    const tag = cipher.getAuthTag()
+    return Buffer.concat([nonce, tag, encrypted])
+}
+
+/**
+ * Decrypts the encrypted message using the given key with XChaCha20-Poly1305
+ * @param {Buffer} key The 256-bit key used to encrypt the message
+ * @param {Buffer} message The ciphertext (with the nonce and authentication tag prepended)
+ * @param {Buffer|string} [aad] The Additional Authenticated Data (AAD) that was used when encrypting the message, if any
+ * @returns {string} The decrypted message
+ * @throws {AuthenticationError} If the message was tampered with, or the AAD doesn't match
+ */
+function decrypt(key, message, aad) {
+    // The first 24 bytes in the encrypted message are the nonce
+    // Next 16 bytes are the authentication tag
+    // The rest is the ciphertext
+    if (message.length < 40) {
+        throw Error('Message is too short')
+    }
+    const nonce = message.slice(0, 24)
+    const tag = message.slice(24, 40)
+    const ciphertext = message.slice(40)
+
+    // Derive the subkey and the nonce for ChaCha20-Poly1305, then decrypt the ciphertext
+    const {subkey, chachaNonce} = deriveSubkey(key, nonce)
+    const decipher = crypto.createDecipheriv('chacha20-poly1305', subkey, chachaNonce, {
+        authTagLength: 16
+    })
+    decipher.setAuthTag(tag)
+    if (aad) {
+        decipher.setAAD(Buffer.from(aad))
+    }
+    let decrypted
+    try {
+        decrypted = Buffer.concat([
+            decipher.update(ciphertext),
+            decipher.final()
+        ])
+    }
+    catch (err) {
+        throw new AuthenticationError()
+    }
+
+    return decrypted.toString('utf8')
+}
+
+/* Example usage */
+
+// Wrap in an asynchronous IIFE (Immediately-Invoked Function Expression) because we need to use the await keyword
+;(async () => {
+    // Check the implementation against the test vectors from draft-irtf-cfrg-xchacha-03
+    // HChaCha20 (section 2.2.1)
+    const hchachaKey = Buffer.from('000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f', 'hex')
+    const hchachaNonce = Buffer.from('000000090000004a0000000031415927', 'hex')
+    const hchachaExpected = '82413b4227b27bfed30e42508a877d73a0f9e4d58a74a853c12ec41326d3ecdc'
+    console.log('HChaCha20 test vector:', hchacha20(hchachaKey, hchachaNonce).toString('hex') == hchachaExpected ? 'OK' : 'FAILED')
+
+    // AEAD_XChaCha20_Poly1305 (appendix A.3.1)
+    const vectorKey = Buffer.from('808182838485868788898a8b8c8d8e8f909192939495969798999a9b9c9d9e9f', 'hex')
+    const vectorNonce = Buffer.from('404142434445464748494a4b4c4d4e4f5051525354555657', 'hex')
+    const vectorAad = Buffer.from('50515253c0c1c2c3c4c5c6c7', 'hex')
+    const vectorPlaintext = 'Ladies and Gentlemen of the class of \'99: If I could offer you only one tip for the future, sunscreen would be it.'
+    const vectorCiphertext = 'bd6d179d3e83d43b9576579493c0e939572a1700252bfaccbed2902c21396cbb' +
+        '731c7f1b0b4aa6440bf3a82f4eda7e39ae64c6708c54c216cb96b72e1213b452' +
+        '2f8c9ba40db5d945b11b69b982c1bb9e3f3fac2bc369488f76b2383565d3fff9' +
+        '21f9664c97637da9768812f615c68b13b52e'
+    const vectorTag = 'c0875924c1c7987947deafd8780acf49'
+    const vectorResult = encryptWithNonce(vectorKey, vectorNonce, vectorPlaintext, vectorAad)
+    console.log('XChaCha20-Poly1305 test vector:', vectorResult.toString('hex') == vectorNonce.toString('hex') + vectorTag + vectorCiphertext ? 'OK' : 'FAILED')
+    console.log('XChaCha20-Poly1305 test vector (decrypt):', decrypt(vectorKey, vectorResult, vectorAad) == vectorPlaintext ? 'OK' : 'FAILED')
+
+    // Message to encrypt
+    const plaintext = 'Hello world!'
+
+    // Key to use
+    // In this case, we're generating a random 256-bit (32 byte) key
+    // We're printing the key (base64-encoded) as example
+    const key = await randomBytes(32)
+    console.log('Key:', key.toString('base64'))
+
+    // Encrypt the message and show the result (base64-encoded)
+    const encrypted = await encrypt(key, plaintext)
+    console.log('Encrypted message:', encrypted.toString('base64'))
+
+    // Decrypt the encrypted message and show the result
+    const decrypted = decrypt(key, encrypted)
+    console.log('Decrypted message:', decrypted)
+})()
+
+/*
+Example result (will be different every time):
+  HChaCha20 test vector: OK
+  XChaCha20-Poly1305 test vector: OK
+  XChaCha20-Poly1305 test vector (decrypt): OK
+  Key: b3FxY72X8iCD+zoP/jtHT5Ei0bmrFdsrj6YpwPaI4YE=
+  Encrypted message: RCbAMk+Jtt3viRUUCdRzTkp2HzeUfPpclK2fd3rddsWAB29KkVESfrRI6p5zXLYP2Wnfuw==
+  Decrypted message: Hello world!
+*/
@@ -0,0 +1,908 @@
+// Import the required modules
+const crypto = require('crypto')
+const fs = require('fs')
+const {Transform} = require('stream')
+const {pipeline} = require('stream/promises')
+const {promisify} = require('util')
+
+// Promisify the crypto.generateKeyPair, crypto.randomBytes, and crypto.scrypt methods
+const generateKeyPair = promisify(crypto.generateKeyPair)
+const randomBytes = promisify(crypto.randomBytes)
+const scrypt = promisify(crypto.scrypt)
+
+/*
+Encrypts and decrypts files in the age v1 format (https://age-encryption.org/v1), which is compatible with the age and rage tools.
+
+An age file has a text header followed by a binary payload:
+
+  age-encryption.org/v1
+  -> X25519 <ephemeral public key>
+  <file key, wrapped for the recipient>
+  --- <MAC of the header>
+  <payload>
+
+- A random 128-bit "file key" is generated for each file.
+- The header contains one "stanza" for each recipient, with the file key wrapped (encrypted) for that recipient:
+  - X25519 recipients (public keys starting with "age1"): the file key is wrapped with ChaCha20-Poly1305 using a key derived with HKDF-SHA256 from an ECDH (X25519) shared secret with an ephemeral key pair, like in ecies.js
+  - scrypt recipients (passphrases): the file key is wrapped with ChaCha20-Poly1305 using a key derived from the passphrase with scrypt, like in ../ch3-hashing/scrypt-generate.js
+- The header is authenticated with HMAC-SHA256, using a key derived from the file key.
+- The payload starts with a random 16-byte nonce, which is used to derive the payload key from the file key; then the data is encrypted in chunks of 64KB with ChaCha20-Poly1305, using the STREAM construction (like aes-stream.js in ../ch4-symmetric-encryption).
+
+Binary values in the header are encoded with base64 without padding, and keys are encoded with Bech32.
+*/
+
+// Constants for the format
+const intro = 'age-encryption.org/v1'
+const fileKeyLength = 16
+const payloadNonceLength = 16
+const chunkSize = 64 * 1024
+const tagLength = 16
+
+// Work factor for scrypt (as log2(N)) when encrypting with a passphrase, and the maximum accepted when decrypting
+// These are the same defaults used by the age tool
+const defaultWorkFactor = 18
+const maxWorkFactor = 22
+
+// Maximum size of the header; this prevents reading a whole (possibly large) file into memory if it's not in the age format
+const maxHeaderLength = 64 * 1024
+
+// DER prefixes to convert raw X25519 keys to SPKI (public) and PKCS#8 (private) format, which Node.js can import
+const x25519PublicKeyPrefix = Buffer.from('302a300506032b656e032100', 'hex')
+const x25519PrivateKeyPrefix = Buffer.from('302e020100300506032b656e04220420', 'hex')
+
+/**
+ * A recipient is either a public key (a string starting with "age1") or an object with a passphrase.
+ * @typedef {string|{passphrase: string, workFactor?: number}} Recipient
+ */
+
+/**
+ * An identity is either a private key (a string starting with "AGE-SECRET-KEY-1") or an object with a passphrase.
+ * @typedef {string|{passphrase: string}} Identity
+ */
+
+/**
+ * A stanza in the header.
+ * @typedef {Object} Stanza
+ * @property {string} type Type of the stanza, such as "X25519" or "scrypt"
+ * @property {string[]} args Arguments
+ * @property {Buffer} body Body of the stanza
+ */
+
+/**
+ * Generates a new identity (X25519 key pair).
+ * @returns {Promise<{identity: string, recipient: string}>} The private key ("AGE-SECRET-KEY-1...") and the public key ("age1..."), Bech32-encoded
+ */
+async function generateIdentity() {
+    // Generate a new x25519 key pair
+    const keyPair = await generateKeyPair('x25519')
+    return {
+        identity: bech32Encode('age-secret-key-', rawPrivateKey(keyPair.privateKey)).toUpperCase(),
+        recipient: bech32Encode('age', rawPublicKey(keyPair.publicKey)),
+    }
+}
+
+/**
+ * Returns the recipient (public key) for an identity (private key).
+ * @param {string} identity The private key ("AGE-SECRET-KEY-1...")
+ * @returns {string} The public key ("age1...")
+ */
+function identityToRecipient(identity) {
+    const publicKey = crypto.createPublicKey(parseIdentity(identity))
+    return bech32Encode('age', rawPublicKey(publicKey))
+}
+
+/**
+ * Creates a Transform stream that encrypts data for the given recipients, in the age format.
+ * @param {Recipient[]} recipients List of recipients
+ * @returns {Promise<Transform>} A Transform stream: write the plaintext to it, and read the age file from it
+ */
+async function createEncryptStream(recipients) {
+    if (!recipients || !recipients.length) {
+        throw Error('No recipients')
+    }
+    if (recipients.length > 1 && recipients.some((r) => typeof r != 'string')) {
+        // This is required by the age format, so a file that can be decrypted with a passphrase can't also be decrypted by someone else
+        throw Error('A passphrase can\'t be used together with other recipients')
+    }
+
+    // Generate a random file key and wrap it for each recipient
+    const fileKey = await randomBytes(fileKeyLength)
+    const stanzas = []
+    for (const recipient of recipients) {
+        if (typeof recipient == 'string') {
+            stanzas.push(await wrapX25519(fileKey, recipient))
+        }
+        else {
+            stanzas.push(await wrapScrypt(fileKey, recipient.passphrase, recipient.workFactor || defaultWorkFactor))
+        }
+    }
+    const header = encodeHeader(fileKey, stanzas)
+
+    // Derive the payload key, using a random nonce
+    const nonce = await randomBytes(payloadNonceLength)
+    const payloadKey = hkdf(fileKey, nonce, 'payload')
+
+    // Data that hasn't filled a whole chunk yet, and index of the next chunk
+    let pending = Buffer.alloc(0)
+    let counter = 0
+
+    return new Transform({
+        construct(callback) {
+            // Write the header and the nonce first
+            this.push(header)
+            this.push(nonce)
+            callback()
+        },
+        transform(data, enc, callback) {
+            pending = Buffer.concat([pending, data])
+            try {
+                // Encrypt all chunks that are complete
+                // We always keep at least one byte in pending, because we don't know yet if the chunk is the last one
+                while (pending.length > chunkSize) {
+                    this.push(encryptChunk(payloadKey, counter++, false, pending.slice(0, chunkSize)))
+                    pending = pending.slice(chunkSize)
+                }
+            }
+            catch (err) {
+                return callback(err)
+            }
+            callback()
+        },
+        flush(callback) {
+            // Encrypt the last chunk, which is empty only if the whole file is empty
+            try {
+                this.push(encryptChunk(payloadKey, counter++, true, pending))
+            }
+            catch (err) {
+                return callback(err)
+            }
+            callback()
+        }
+    })
+}
+
+/**
+ * Creates a Transform stream that decrypts an age file using one of the given identities.
+ * Each chunk is written out only after its authentication tag is verified; if any verification fails, the stream emits an error.
+ * @param {Identity[]} identities List of identities to try
+ * @returns {Transform} A Transform stream: write the age file to it, and read the plaintext from it
+ */
+function createDecryptStream(identities) {
+    let payloadKey = null
+    let pending = Buffer.alloc(0)
+    let counter = 0
+
+    // Reads the header and the nonce, when enough data is available
+    // Returns false if more data is needed
+    const readHeader = async () => {
+        const header = parseHeader(pending)
+        if (!header || pending.length < header.length + payloadNonceLength) {
+            if (pending.length > maxHeaderLength) {
+                throw Error('Header is too long, or the file is not in the age format')
+            }
+            return false
+        }
+
+        // Unwrap the file key, then check the header's MAC
+        const fileKey = await unwrapFileKey(header.stanzas, identities)
+        const mac = crypto.createHmac('sha256', hkdf(fileKey, Buffer.alloc(0), 'header'))
+            .update(header.macInput)
+            .digest()
+        if (!crypto.timingSafeEqual(mac, header.mac)) {
+            throw Error('Header MAC is invalid')
+        }
+
+        const nonce = pending.slice(header.length, header.length + payloadNonceLength)
+        payloadKey = hkdf(fileKey, nonce, 'payload')
+        pending = pending.slice(header.length + payloadNonceLength)
+        return true
+    }
+
+    return new Transform({
+        transform(data, enc, callback) {
+            pending = Buffer.concat([pending, data])
+            ;(async () => {
+                // Read the header first
+                if (!payloadKey && !(await readHeader())) {
+                    return
+                }
+
+                // Decrypt all chunks that are complete
+                // Like when encrypting, we need to keep some data in pending to know if a chunk is the last one
+                while (pending.length > chunkSize + tagLength) {
+                    this.push(decryptChunk(payloadKey, counter++, false, pending.slice(0, chunkSize + tagLength)))
+                    pending = pending.slice(chunkSize + tagLength)
+                }
+            })().then(() => callback(), callback)
+        },
+        flush(callback) {
+            // Decrypt the last chunk
+            // If the stream was truncated, this fails because the chunk isn't flagged as the last one
+            ;(async () => {
+                if (!payloadKey && !(await readHeader())) {
+                    throw Error('File is truncated')
+                }
+                const plaintext = decryptChunk(payloadKey, counter, true, pending)
+                if (!plaintext.length && counter > 0) {
+                    throw Error('Last chunk is empty')
+                }
+                this.push(plaintext)
+            })().then(() => callback(), callback)
+        }
+    })
+}
+
+/**
+ * Encrypts a stream for the given recipients, in the age format.
+ * @param {Recipient[]} recipients List of recipients
+ * @param {import('stream').Readable} source Readable stream to the input (plaintext)
+ * @param {import('stream').Writable} destination Writable stream to the destination, where the age file will be written
+ * @returns {Promise<void>} Promise that resolves with no value once the work is done
+ */
+async function encrypt(recipients, source, destination) {
+    await pipeline(source, await createEncryptStream(recipients), destination)
+}
+
+/**
+ * Decrypts an age file using one of the given identities.
+ * @param {Identity[]} identities List of identities to try
+ * @param {import('stream').Readable} source Readable stream to the input (age file)
+ * @param {import('stream').Writable} destination Writable stream to the destination, where the output (plaintext) will be written
+ * @returns {Promise<void>} Promise that resolves with no value once the work is done
+ */
+async function decrypt(identities, source, destination) {
+    await pipeline(source, createDecryptStream(identities), destination)
+}
+
+/**
+ * Wraps the file key for an X25519 recipient.
+ * @param {Buffer} fileKey The file key
+ * @param {string} recipient The recipient's public key ("age1...")
+ * @returns {Promise<Stanza>} The stanza
+ */
+async function wrapX25519(fileKey, recipient) {
+    const recipientKey = parseRecipient(recipient)
+
+    // Generate an ephemeral key pair and compute the shared secret with the recipient's public key
+    const ephemeral = await generateKeyPair('x25519')
+    const share = rawPublicKey(ephemeral.publicKey)
+    const sharedSecret = crypto.diffieHellman({
+        publicKey: crypto.createPublicKey({
+            key: Buffer.concat([x25519PublicKeyPrefix, recipientKey]),
+            format: 'der',
+            type: 'spki'
+        }),
+        privateKey: ephemeral.privateKey
+    })
+
+    // Derive the wrapping key with HKDF, using both public keys as salt, then wrap the file key
+    const wrapKey = hkdf(sharedSecret, Buffer.concat([share, recipientKey]), 'age-encryption.org/v1/X25519')
+    return {
+        type: 'X25519',
+        args: [encodeBase64(share)],
+        body: wrapFileKey(wrapKey, fileKey),
+    }
+}
+
+/**
+ * Wraps the file key with a passphrase.
+ * @param {Buffer} fileKey The file key
+ * @param {string} passphrase The passphrase
+ * @param {number} workFactor Cost factor for scrypt, as log2(N)
+ * @returns {Promise<Stanza>} The stanza
+ */
+async function wrapScrypt(fileKey, passphrase, workFactor) {
+    const salt = await randomBytes(16)
+    const wrapKey = await scryptKey(passphrase, salt, workFactor)
+    return {
+        type: 'scrypt',
+        args: [encodeBase64(salt), String(workFactor)],
+        body: wrapFileKey(wrapKey, fileKey),
+    }
+}
+
+/**
+ * Derives the wrapping key from a passphrase with scrypt.
+ * @param {string} passphrase The passphrase
+ * @param {Buffer} salt The 16-byte salt
+ * @param {number} workFactor Cost factor for scrypt, as log2(N)
+ * @returns {Promise<Buffer>} The 256-bit wrapping key
+ */
+function scryptKey(passphrase, salt, workFactor) {
+    const N = 2 ** workFactor
+    const r = 8
+    return scrypt(passphrase, Buffer.concat([Buffer.from('age-encryption.org/v1/scrypt'), salt]), 32, {
+        N,
+        r,
+        p: 1,
+        maxmem: 256 * N * r,
+    })
+}
+
+/**
+ * Unwraps the file key from the stanzas in the header, using the first identity that matches.
+ * @param {Stanza[]} stanzas Stanzas in the header
+ * @param {Identity[]} identities List of identities to try
+ * @returns {Promise<Buffer>} The file key
+ */
+async function unwrapFileKey(stanzas, identities) {
+    // If there's a scrypt stanza, it must be the only one
+    if (stanzas.some((s) => s.type == 'scrypt') && stanzas.length != 1) {
+        throw Error('scrypt stanza must be the only one in the header')
+    }
+
+    for (const stanza of stanzas) {
+        for (const identity of identities) {
+            let fileKey = null
+            if (stanza.type == 'X25519' && typeof identity == 'string') {
+                fileKey = unwrapX25519(stanza, identity)
+            }
+            else if (stanza.type == 'scrypt' && typeof identity != 'string') {
+                fileKey = await unwrapScrypt(stanza, identity.passphrase)
+            }
+            if (fileKey) {
+                return fileKey
+            }
+        }
+    }
+    throw Error('No identity matched any of the recipients')
+}
+
+/**
+ * Unwraps the file key from an X25519 stanza.
+ * @param {Stanza} stanza The stanza
+ * @param {string} identity The private key ("AGE-SECRET-KEY-1...")
+ * @returns {Buffer|null} The file key, or null if the stanza is not for this identity
+ */
+function unwrapX25519(stanza, identity) {
+    if (stanza.args.length != 1 || stanza.body.length != fileKeyLength + tagLength) {
+        throw Error('Invalid X25519 stanza')
+    }
+    const share = decodeBase64(stanza.args[0])
+    if (share.length != 32) {
+        throw Error('Invalid X25519 stanza')
+    }
+
+    // Compute the shared secret with our private key and the ephemeral public key
+    const privateKey = parseIdentity(identity)
+    const sharedSecret = crypto.diffieHellman({
+        publicKey: crypto.createPublicKey({
+            key: Buffer.concat([x25519PublicKeyPrefix, share]),
+            format: 'der',
+            type: 'spki'
+        }),
+        privateKey
+    })
+
+    const recipientKey = rawPublicKey(crypto.createPublicKey(privateKey))
+    const wrapKey = hkdf(sharedSecret, Buffer.concat([share, recipientKey]), 'age-encryption.org/v1/X25519')
+    return unwrapWithKey(wrapKey, stanza.body)
+}
+
+/**
+ * Unwraps the file key from a scrypt stanza.
+ * @param {Stanza} stanza The stanza
+ * @param {string} passphrase The passphrase
+ * @returns {Promise<Buffer|null>} The file key, or null if the passphrase is wrong
+ */
+async function unwrapScrypt(stanza, passphrase) {
+    if (stanza.args.length != 2 || stanza.body.length != fileKeyLength + tagLength) {
+        throw Error('Invalid scrypt stanza')
+    }
+    const salt = decodeBase64(stanza.args[0])
+    if (salt.length != 16 || !/^[1-9][0-9]*$/.test(stanza.args[1])) {
+        throw Error('Invalid scrypt stanza')
+    }
+
+    // Refuse work factors that are too high, which could be used to make us use too much CPU or memory
+    const workFactor = parseInt(stanza.args[1], 10)
+    if (workFactor > maxWorkFactor) {
+        throw Error('scrypt work factor is too high: ' + workFactor)
+    }
+
+    const wrapKey = await scryptKey(passphrase, salt, workFactor)
+    return unwrapWithKey(wrapKey, stanza.body)
+}
+
+/**
+ * Wraps the file key with ChaCha20-Poly1305, using an all-zero nonce (the wrapping key is used only once).
+ * @param {Buffer} wrapKey The 256-bit wrapping key
+ * @param {Buffer} fileKey The file key
+ * @returns {Buffer} The wrapped key, with the authentication tag appended
+ */
+function wrapFileKey(wrapKey, fileKey) {
+    const cipher = crypto.createCipheriv('chacha20-poly1305', wrapKey, Buffer.alloc(12), {
+        authTagLength: tagLength
+    })
+    return Buffer.concat([
+        cipher.update(fileKey),
+        cipher.final(),
+        cipher.getAuthTag()
+    ])
+}
+
+/**
+ * Unwraps the file key with ChaCha20-Poly1305.
+ * @param {Buffer} wrapKey The 256-bit wrapping key
+ * @param {Buffer} body The wrapped key, with the authentication tag appended
+ * @returns {Buffer|null} The file key, or null if the wrapping key is wrong
+ */
+function unwrapWithKey(wrapKey, body) {
+    const decipher = crypto.createDecipheriv('chacha20-poly1305', wrapKey, Buffer.alloc(12), {
+        authTagLength: tagLength
+    })
+    decipher.setAuthTag(body.slice(fileKeyLength))
+    try {
+        return Buffer.concat([
+            decipher.update(body.slice(0, fileKeyLength)),
+            decipher.final()
+        ])
+    }
+    catch (err) {
+        return null
+    }
+}
+
+/**
+ * Encodes the header, including its MAC.
+ * @param {Buffer} fileKey The file key, used to compute the MAC
+ * @param {Stanza[]} stanzas Stanzas in the header
+ * @returns {Buffer} The header
+ */
+function encodeHeader(fileKey, stanzas) {
+    const lines = [intro]
+    for (const stanza of stanzas) {
+        lines.push('-> ' + [stanza.type, ...stanza.args].join(' '))
+
+        // The body is base64-encoded and wrapped at 64 columns; the last line must be shorter than 64 characters (it can be empty)
+        const body = encodeBase64(stanza.body)
+        for (let i = 0; i <= body.length; i += 64) {
+            lines.push(body.slice(i, i + 64))
+        }
+    }
+    lines.push('---')
+
+    // The MAC is computed over the header up to (and including) the "---"
+    const macInput = lines.join('\n')
+    const mac = crypto.createHmac('sha256', hkdf(fileKey, Buffer.alloc(0), 'header'))
+        .update(macInput)
+        .digest()
+    return Buffer.from(macInput + ' ' + encodeBase64(mac) + '\n')
+}
+
+/**
+ * Parses the header, if the data contains all of it.
+ * @param {Buffer} data Beginning of the age file
+ * @returns {{stanzas: Stanza[], macInput: Buffer, mac: Buffer, length: number}|null} The parsed header and its length, or null if more data is needed
+ */
+function parseHeader(data) {
+    // The header ends with a line starting with "--- "
+    const macLineStart = data.indexOf('\n--- ')
+    if (macLineStart == -1) {
+        return null
+    }
+    const macLineEnd = data.indexOf('\n', macLineStart + 1)
+    if (macLineEnd == -1) {
+        return null
+    }
+
+    const lines = data.slice(0, macLineStart).toString('latin1').split('\n')
+    if (lines[0] != intro) {
+        throw Error('Not an age file, or unsupported version')
+    }
+
+    // Read the stanzas
+    const stanzas = []
+    let i = 1
+    while (i < lines.length) {
+        const parts = lines[i++].split(' ')
+        if (parts[0] != '->' || parts.length < 2 || parts.slice(1).some((arg) => !/^[\x21-\x7e]+$/.test(arg))) {
+            throw Error('Invalid stanza in the header')
+        }
+
+        // Read the body, until a line shorter than 64 characters
+        let body = ''
+        while (true) {
+            if (i >= lines.length) {
+                throw Error('Invalid stanza in the header')
+            }
+            const line = lines[i++]
+            if (line.length > 64) {
+                throw Error('Invalid stanza in the header')
+            }
+            body += line
+            if (line.length < 64) {
+                break
+            }
+        }
+        stanzas.push({type: parts[1], args: parts.slice(2), body: decodeBase64(body)})
+    }
+    if (!stanzas.length) {
+        throw Error('Header has no recipients')
+    }
+
+    const mac = decodeBase64(data.slice(macLineStart + 5, macLineEnd).toString('latin1'))
+    if (mac.length != 32) {
+        throw Error('Invalid header MAC')
+    }
+    return {
+        stanzas,
+        macInput: data.slice(0, macLineStart + 4),
+        mac,
+        length: macLineEnd + 1,
+    }
+}
+
+/**
+ * Encrypts a chunk of the payload with ChaCha20-Poly1305.
+ * The nonce is the chunk counter (11 bytes, big-endian) followed by the last-chunk flag (1 byte).
+ * @param {Buffer} key The payload key
+ * @param {number} counter Index of the chunk
+ * @param {boolean} last True if this is the last chunk
+ * @param {Buffer} chunk Plaintext
+ * @returns {Buffer} The ciphertext, with the authentication tag appended
+ */
+function encryptChunk(key, counter, last, chunk) {
+    const cipher = crypto.createCipheriv('chacha20-poly1305', key, chunkNonce(counter, last), {
+        authTagLength: tagLength
+    })
+    return Buffer.concat([
+        cipher.update(chunk),
+        cipher.final(),
+        cipher.getAuthTag()
+    ])
+}
+
+/**
+ * Decrypts a chunk of the payload with ChaCha20-Poly1305, verifying its authentication tag.
+ * @param {Buffer} key The payload key
+ * @param {number} counter Index of the chunk
+ * @param {boolean} last True if this is the last chunk
+ * @param {Buffer} chunk Ciphertext, with the authentication tag appended
+ * @returns {Buffer} The plaintext
+ */
+function decryptChunk(key, counter, last, chunk) {
+    if (chunk.length < tagLength) {
+        throw Error('File is truncated')
+    }
+    const decipher = crypto.createDecipheriv('chacha20-poly1305', key, chunkNonce(counter, last), {
+        authTagLength: tagLength
+    })
+    decipher.setAuthTag(chunk.slice(chunk.length - tagLength))
+    // decipher.final() throws if the authentication tag doesn't match, so the result is returned only if the chunk is authentic
+    return Buffer.concat([
+        decipher.update(chunk.slice(0, chunk.length - tagLength)),
+        decipher.final()
+    ])
+}
+
+/**
+ * Returns the nonce for a chunk of the payload.
+ * @param {number} counter Index of the chunk
+ * @param {boolean} last True if this is the last chunk
+ * @returns {Buffer} The 12-byte nonce
+ */
+function chunkNonce(counter, last) {
+    const nonce = Buffer.alloc(12)
+    // The counter is 11 bytes, but a number in JavaScript can safely hold up to 2^53, so we write only the last 6 bytes
+    nonce.writeUIntBE(counter, 5, 6)
+    nonce[11] = last ? 0x01 : 0x00
+    return nonce
+}
+
+/**
+ * Derives a 256-bit key with HKDF-SHA256.
+ * @param {Buffer} ikm Input key material
+ * @param {Buffer} salt Salt
+ * @param {string} info Info string
+ * @returns {Buffer} The derived key
+ */
+function hkdf(ikm, salt, info) {
+    return Buffer.from(crypto.hkdfSync('sha256', ikm, salt, info, 32))
+}
+
+/**
+ * Returns the raw bytes of an X25519 public key.
+ * @param {crypto.KeyObject} publicKey Public key
+ * @returns {Buffer} The 32-byte public key
+ */
+function rawPublicKey(publicKey) {
+    return publicKey.export({type: 'spki', format: 'der'}).slice(x25519PublicKeyPrefix.length)
+}
+
+/**
+ * Returns the raw bytes of an X25519 private key.
+ * @param {crypto.KeyObject} privateKey Private key
+ * @returns {Buffer} The 32-byte private key
+ */
+function rawPrivateKey(privateKey) {
+    return privateKey.export({type: 'pkcs8', format: 'der'}).slice(x25519PrivateKeyPrefix.length)
+}
+
+/**
+ * Parses a recipient's public key.
+ * @param {string} recipient The public key ("age1...")
+ * @returns {Buffer} The 32-byte public key
+ */
+function parseRecipient(recipient) {
+    const {hrp, data} = bech32Decode(recipient)
+    if (hrp != 'age' || data.length != 32) {
+        throw Error('Invalid recipient: ' + recipient)
+    }
+    return data
+}
+
+/**
+ * Parses an identity's private key.
+ * @param {string} identity The private key ("AGE-SECRET-KEY-1...")
+ * @returns {crypto.KeyObject} The private key
+ */
+function parseIdentity(identity) {
+    const {hrp, data} = bech32Decode(identity)
+    if (hrp != 'age-secret-key-' || data.length != 32) {
+        throw Error('Invalid identity')
+    }
+    return crypto.createPrivateKey({
+        key: Buffer.concat([x25519PrivateKeyPrefix, data]),
+        format: 'der',
+        type: 'pkcs8'
+    })
+}
+
+/**
+ * Encodes data in base64 without padding, as used in the age header.
+ * @param {Buffer} data Data to encode
+ * @returns {string} The encoded data
+ */
+function encodeBase64(data) {
+    return data.toString('base64').replace(/=+$/, '')
+}
+
+/**
+ * Decodes data in base64 without padding, rejecting values that are not in canonical form.
+ * @param {string} str Encoded data
+ * @returns {Buffer} The decoded data
+ */
+function decodeBase64(str) {
+    const data = Buffer.from(str, 'base64')
+    if (!/^[A-Za-z0-9+/]*$/.test(str) || encodeBase64(data) != str) {
+        throw Error('Invalid base64 value in the header')
+    }
+    return data
+}
+
+/*** Bech32 (BIP 173), used to encode keys ***/
+
+const bech32Charset = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l'
+
+/**
+ * Computes the Bech32 checksum.
+ * @param {number[]} values Values to include in the checksum
+ * @returns {number} The checksum
+ */
+function bech32Polymod(values) {
+    const generator = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3]
+    let chk = 1
+    for (const value of values) {
+        const top = chk >>> 25
+        chk = ((chk & 0x1ffffff) << 5) ^ value
+        for (let i = 0; i < 5; i++) {
+            if ((top >>> i) & 1) {
+                chk ^= generator[i]
+            }
+        }
+    }
+    return chk >>> 0
+}
+
+/**
+ * Expands the human-readable part for the checksum computation.
+ * @param {string} hrp Human-readable part
+ * @returns {number[]} The expanded values
+ */
+function bech32HrpExpand(hrp) {
+    const codes = [...hrp].map((c) => c.charCodeAt(0))
+    return [...codes.map((c) => c >> 5), 0, ...codes.map((c) => c & 31)]
+}
+
+/**
+ * Converts between groups of bits (e.g. from 8-bit bytes to 5-bit words).
+ * @param {ArrayLike<number>} data Input values
+ * @param {number} from Number of bits in each input value
+ * @param {number} to Number of bits in each output value
+ * @param {boolean} pad If true, pads the last output value with zeros; otherwise, the padding must be zero and shorter than the input size
+ * @returns {number[]} The output values
+ */
+function convertBits(data, from, to, pad) {
+    let acc = 0
+    let bits = 0
+    const result = []
+    const maxValue = (1 << to) - 1
+    for (const value of data) {
+        acc = (acc << from) | value
+        bits += from
+        while (bits >= to) {
+            bits -= to
+            result.push((acc >> bits) & maxValue)
+        }
+        acc &= (1 << bits) - 1
+    }
+    if (pad) {
+        if (bits) {
+            result.push((acc << (to - bits)) & maxValue)
+        }
+    }
+    else if (bits >= from || acc) {
+        throw Error('Invalid Bech32 padding')
+    }
+    return result
+}
+
+/**
+ * Encodes data with Bech32.
+ * @param {string} hrp Human-readable part, in lowercase
+ * @param {Buffer} data Data to encode
+ * @returns {string} The encoded string, in lowercase
+ */
+function bech32Encode(hrp, data) {
+    const words = convertBits(data, 8, 5, true)
+    const polymod = bech32Polymod([...bech32HrpExpand(hrp), ...words, 0, 0, 0, 0, 0, 0]) ^ 1
+    const checksum = []
+    for (let i = 0; i < 6; i++) {
+        checksum.push((polymod >>> (5 * (5 - i))) & 31)
+    }
+    return hrp + '1' + [...words, ...checksum].map((w) => bech32Charset[w]).join('')
+}
+
+/**
+ * Decodes a Bech32 string.
+ * @param {string} str The encoded string
+ * @returns {{hrp: string, data: Buffer}} The human-readable part (in lowercase) and the decoded data
+ */
+function bech32Decode(str) {
+    // Strings must be all-lowercase or all-uppercase
+    if (str != str.toLowerCase() && str != str.toUpperCase()) {
+        throw Error('Invalid Bech32 string')
+    }
+    str = str.toLowerCase()
+    const separator = str.lastIndexOf('1')
+    if (separator < 1 || separator + 7 > str.length) {
+        throw Error('Invalid Bech32 string')
+    }
+    const hrp = str.slice(0, separator)
+    const words = [...str.slice(separator + 1)].map((c) => bech32Charset.indexOf(c))
+    if (words.includes(-1) || bech32Polymod([...bech32HrpExpand(hrp), ...words]) != 1) {
+        throw Error('Invalid Bech32 string')
+    }
+    return {
+        hrp,
+        data: Buffer.from(convertBits(words.slice(0, words.length - 6), 5, 8, false)),
+    }
+}
+
+/**
+ * Reads identities from a file, such as the one created by "keygen": one private key per line, and lines starting with "#" are comments.
+ * @param {string} path Path to the file
+ * @returns {Promise<string[]>} The private keys
+ */
+async function readIdentities(path) {
+    const content = await fs.promises.readFile(path, 'utf8')
+    return content.split(/\r?\n/)
+        .map((line) => line.trim())
+        .filter((line) => line && !line.startsWith('#'))
+}
+
+/* Example usage */
+
+/*
+Usage:
+  node age.js keygen [-o OUTPUT]
+  node age.js encrypt (-r RECIPIENT | -p)... [-o OUTPUT] [INPUT]
+  node age.js decrypt (-i IDENTITY_FILE | -p)... [-o OUTPUT] [INPUT]
+
+Options:
+  -o OUTPUT         Write the result to the file OUTPUT (default: standard output)
+  -r RECIPIENT      Encrypt for the recipient's public key ("age1..."); can be repeated
+  -i IDENTITY_FILE  Decrypt using the private keys in the file; can be repeated
+  -p                Encrypt or decrypt using a passphrase, which is read from the AGE_PASSPHRASE environment variable
+
+INPUT is the file to read (default: standard input).
+Files are compatible with the age tool (https://age-encryption.org), for example:
+  age -d -i key.txt file.age
+*/
+
+// Wrap in an asynchronous IIFE (Immediately-Invoked Function Expression) because we need to use the await keyword
+;(async function() {
+    const [command, ...args] = process.argv.slice(2)
+
+    // Parse the options
+    const recipients = []
+    const identityFiles = []
+    let passphrase = false
+    let output = null
+    let input = null
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] == '-o') {
+            output = args[++i]
+        }
+        else if (args[i] == '-r') {
+            recipients.push(args[++i])
+        }
+        else if (args[i] == '-i') {
+            identityFiles.push(args[++i])
+        }
+        else if (args[i] == '-p') {
+            passphrase = true
+        }
+        else {
+            input = args[i]
+        }
+    }
+
+    try {
+        if (passphrase && !process.env.AGE_PASSPHRASE) {
+            throw Error('The AGE_PASSPHRASE environment variable is not set')
+        }
+        if (command == 'keygen') {
+            // Generate a new identity, and write it in the same format as the age-keygen tool
+            const {identity, recipient} = await generateIdentity()
+            const content = '# created: ' + new Date().toISOString().replace(/\.\d+Z$/, 'Z') + '\n' +
+                '# public key: ' + recipient + '\n' +
+                identity + '\n'
+            if (output) {
+                // The file contains a private key, so only the owner can read it
+                await fs.promises.writeFile(output, content, {mode: 0o600})
+                console.error('Public key:', recipient)
+            }
+            else {
+                process.stdout.write(content)
+            }
+        }
+        else if (command == 'encrypt') {
+            if (passphrase) {
+                recipients.push({passphrase: process.env.AGE_PASSPHRASE})
+            }
+            const source = input ? fs.createReadStream(input) : process.stdin
+            const destination = output ? fs.createWriteStream(output) : process.stdout
+            await encrypt(recipients, source, destination)
+        }
+        else if (command == 'decrypt') {
+            const identities = []
+            for (const path of identityFiles) {
+                identities.push(...(await readIdentities(path)))
+            }
+            if (passphrase) {
+                identities.push({passphrase: process.env.AGE_PASSPHRASE})
+            }
+            if (!identities.length) {
+                throw Error('No identities')
+            }
+            const source = input ? fs.createReadStream(input) : process.stdin
+            const destination = output ? fs.createWriteStream(output) : process.stdout
+            await decrypt(identities, source, destination)
+        }
+        else {
+            throw Error('Invalid command; use "keygen", "encrypt", or "decrypt"')
+        }
+    }
+    catch (err) {
+        console.error('Error:', err.message)
+        process.exitCode = 1
+    }
+})()
+
+/*
+Example result (keys and encrypted data will be different every time):
+  $ node age.js keygen -o key.txt
+  Public key: age1n83wpn3x5wded67wtlkvuwxsvy58kls2lz9h2tjg2ces2jc4xdcs8sdv3r
+  $ node age.js encrypt -r age1n83wpn3x5wded67wtlkvuwxsvy58kls2lz9h2tjg2ces2jc4xdcs8sdv3r -o photo.jpg.age ../test-files/alessandro-porri-yl4y4l86gEk-unsplash.jpg
+  $ head -n 4 photo.jpg.age
+  age-encryption.org/v1
+  -> X25519 UW0rDoF15exQgk+tek1zrY78LKDwOD7O57/bIfdS0BY
+  hGLivWjVd9lZd+LBwk6XRmtXfvZwlask5arpys2kY4Q
+  --- ksOYg/Y3NUCt0H7LefeRU/GpJZROK4TN3J2wvUhVKdw
+  $ node age.js decrypt -i key.txt -o photo.jpg photo.jpg.age
+  $ AGE_PASSPHRASE='correct horse battery staple' node age.js encrypt -p -o photo.jpg.age photo.jpg
+  $ AGE_PASSPHRASE='wrong passphrase' node age.js decrypt -p -o photo.jpg photo.jpg.age
+  Error: No identity matched any of the recipients
+*/
@@ -67,6 +67,99 @@ function BobDecrypt(bobPrivateKey, alicePublicKey, encryptedMessage) {
     return aesDecrypt(symmetricKey, encryptedMessage.slice(16))
 }
 
+/**
+ * Encrypts a message for a recipient using "anonymous" ECIES, which requires only the recipient's public key:
+ *
+ * - A new ephemeral X25519 key pair is generated for each message, and ECDH is used with the recipient's public key to generate a shared secret
+ * - HKDF with SHA-256 derives the symmetric encryption key from the shared secret; both public keys (the ephemeral one and the recipient's) are used as salt, so the key is bound to them
+ * - AES-256-GCM is used as authenticated symmetric cipher to encrypt the data
+ *
+ * The ephemeral private key is discarded after use, and the ephemeral public key is included in the result, so the sender doesn't need a long-term key pair.
+ * Note that, because of this, the recipient can't know who sent the message: if that's needed, the message should be signed too.
+ *
+ * @param {crypto.KeyObject} recipientPublicKey Recipient's X25519 public key
+ * @param {string} message Message to encrypt
+ * @returns {Promise<Buffer>} Encrypted message, which includes the ephemeral public key (32 bytes), the IV, the AES-GCM authentication tag, and the ciphertext
+ */
+async function seal(recipientPublicKey, message) {
+    // Generate an ephemeral key pair, which is used for this message only
+    const ephemeralKeyPair = await generateKeyPair('x25519')
+    const ephemeralPublicKey = rawPublicKey(ephemeralKeyPair.publicKey)
+
+    // Calculate the shared secret and derive the symmetric key
+    const sharedSecret = crypto.diffieHellman({
+        publicKey: recipientPublicKey,
+        privateKey: ephemeralKeyPair.privateKey
+    })
+    const symmetricKey = deriveSealKey(sharedSecret, ephemeralPublicKey, rawPublicKey(recipientPublicKey))
+
+    // Encrypt the message using AES-256-GCM, and prepend the ephemeral public key
+    const encryptedMessage = await aesEncrypt(symmetricKey, message)
+    return Buffer.concat([ephemeralPublicKey, encryptedMessage])
+}
+
+/**
+ * Decrypts a message encrypted with `seal`, using the recipient's private key.
+ *
+ * @param {crypto.KeyObject} recipientPrivateKey Recipient's X25519 private key
+ * @param {Buffer} sealed Encrypted message
+ * @returns {string} Decrypted message in plain-text
+ */
+function open(recipientPrivateKey, sealed) {
+    if (sealed.length < 32 + 28) {
+        throw Error('Message is too short')
+    }
+
+    // The first 32 bytes are the ephemeral public key of the sender
+    const ephemeralPublicKey = sealed.slice(0, 32)
+    const sharedSecret = crypto.diffieHellman({
+        publicKey: crypto.createPublicKey({
+            key: {kty: 'OKP', crv: 'X25519', x: ephemeralPublicKey.toString('base64url')},
+            format: 'jwk'
+        }),
+        privateKey: recipientPrivateKey
+    })
+
+    // The recipient's public key is computed from the private key
+    const recipientPublicKey = rawPublicKey(crypto.createPublicKey(recipientPrivateKey))
+    const symmetricKey = deriveSealKey(sharedSecret, ephemeralPublicKey, recipientPublicKey)
+
+    // The remaining bytes are the message encrypted with AES-256-GCM (including the IV and authentication tag)
+    return aesDecrypt(symmetricKey, sealed.slice(32))
+}
+
+/**
+ * Derives the symmetric key for `seal` and `open` from the shared secret, using HKDF with SHA-256.
+ *
+ * @param {Buffer} sharedSecret Shared secret calculated with ECDH
+ * @param {Buffer} ephemeralPublicKey Sender's ephemeral public key (32 bytes)
+ * @param {Buffer} recipientPublicKey Recipient's public key (32 bytes)
+ * @returns {Buffer} 32-byte symmetric key
+ */
+function deriveSealKey(sharedSecret, ephemeralPublicKey, recipientPublicKey) {
+    // If the other party's public key is a point of low order, the shared secret is all zeros: reject it, as it's not secret
+    if (sharedSecret.every((b) => b == 0)) {
+        throw Error('Invalid public key')
+    }
+    return Buffer.from(crypto.hkdfSync(
+        'sha256',
+        sharedSecret,
+        Buffer.concat([ephemeralPublicKey, recipientPublicKey]),
+        'ecies-x25519-hkdf-sha256-aes-256-gcm',
+        32
+    ))
+}
+
+/**
+ * Returns the raw bytes of a X25519 public key.
+ *
+ * @param {crypto.KeyObject} publicKey X25519 public key
+ * @returns {Buffer} The 32-byte public key
+ */
+function rawPublicKey(publicKey) {
+    return Buffer.from(publicKey.export({format: 'jwk'}).x, 'base64url')
+}
+
 // Need to wrap this in an immediately-invoked function expression (IIFE) because of async code
 ;(async function() {
     // Message to encrypt
@@ -104,8 +197,23 @@ function BobDecrypt(bobPrivateKey, alicePublicKey, encryptedMessage) {
     )
 
     console.log('The decrypted message is:', decrypted)
+
+    // With seal/open, Alice doesn't need a key pair: she only needs Bob's public key
+    // A new ephemeral key is generated for each message, and its public part is included in the sealed message
+    const sealed = await seal(crypto.createPublicKey(bobPublicKeyPem), message)
+    console.log('The sealed message is:', sealed.toString('base64'))
+
+    // Bob opens the message with his private key only
+    console.log('The opened message is:', open(bobKeyPair.privateKey, sealed))
 })()
 
+/*
+Example result (will be different every time):
+  The decrypted message is: Hello world
+  The sealed message is: NGQbC4ljzWYk1K+h7wS03am/DvYBhf2QfRFU/TtV4yhw2HNIjqYrvX7eMvEjSYYp0lwe8M2+dmCS+FishFh3JNcD6ngd6sc=
+  The opened message is: Hello world
+*/
+
 /** Example symmetric encryption/decryption functions from aes-256-gcm */
 
 async function aesEncrypt(key, plaintext) {
@@ -120,10 +228,13 @@ async function aesEncrypt(key, plaintext) {
 }
 
 function aesDecrypt(key, message) {
+    if (message.length < 28) {
+        throw Error('Message is too short')
+    }
     const iv = message.slice(0, 12)
     const tag = message.slice(12, 28)
     const ciphertext = message.slice(28)
-    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv)
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv, {authTagLength: 16})
     decipher.setAuthTag(tag)
     const decrypted = Buffer.concat([
         decipher.update(ciphertext, 'utf8'),
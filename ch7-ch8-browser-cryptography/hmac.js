@@ -0,0 +1,136 @@
+// This depends on a base64 encoding library, such as arraybuffer-encoding from NPM
+import {Encode as EncodeBase64Url, Decode as DecodeBase64Url} from 'arraybuffer-encoding/base64/url'
+import {Decode as DecodeBase64} from 'arraybuffer-encoding/base64/standard'
+
+/*
+MACs are exchanged as strings in the format "<keyId>.<algorithm>.<mac>", where:
+- keyId is the ID of the key in the keyring
+- algorithm is one of "HS256", "HS384" or "HS512" (for HMAC-SHA256, HMAC-SHA384, and HMAC-SHA512)
+- mac is the result of the HMAC, base64url-encoded (without padding)
+This is the same format used by ch3-hashing/hmac.js, so MACs created in the browser can be verified in Node.js and vice versa.
+*/
+
+// Map between the names of the algorithms used in the MAC strings and the hashing functions in WebCrypto
+const algorithms = {
+    'HS256': 'SHA-256',
+    'HS384': 'SHA-384',
+    'HS512': 'SHA-512',
+}
+
+// Wrap in an asynchronous IIFE (Immediately-Invoked Function Expression) because we need to use the await keyword
+;(async () => {
+    // Keyring with two keys: "2023-01" is an old one that is still valid, and "2023-02" is used for new MACs
+    // In this case, the keys are hardcoded and base64-encoded, so we need to decode them
+    // These are the same keys used in ch3-hashing/hmac.js
+    const keyring = {
+        current: '2023-02',
+        keys: {
+            '2023-01': {
+                key: await importHmacKey(DecodeBase64('yMqP0s3D3lS2tQXJr5Vy0yAaR9uKa5XvN5M3oTn1k2Y='), 'HS256'),
+                algorithm: 'HS256',
+            },
+            '2023-02': {
+                key: await importHmacKey(DecodeBase64('Xq8c5M+bTzA0fVdN6pG8l2yW1kR3sJeH4tC9uZ7vQ0aLmB2xE6nD5oF1gI3hK8jP'), 'HS384'),
+                algorithm: 'HS384',
+            },
+        },
+    }
+
+    // Message to authenticate
+    // Because our message is a string, we need to encode it in a Uint8Array first
+    const encoder = new TextEncoder()
+    const message = encoder.encode('Hello world!')
+
+    // Calculate the MAC of a message with the current key
+    // This is the same value that ch3-hashing/hmac.js returns
+    const mac = await sign(keyring, message)
+    console.log('MAC:', mac)
+    console.log('Valid:', await verify(keyring, message, mac))
+    console.log('Tampered message valid:', await verify(keyring, encoder.encode('Hello world?'), mac))
+
+    // MACs calculated with older keys can be verified too, as long as the key is in the keyring
+    const oldMac = '2023-01.HS256.zt_Mn7I1-jeJ-DaexxRafStdl0NBDZ7TaMpdVtYhvCY'
+    console.log('Old MAC valid:', await verify(keyring, message, oldMac))
+})()
+
+/*
+Result:
+  MAC: 2023-02.HS384.6TU-Yl862xnI3j711HcDQ7k8wGySK6Ef3z0GCD4Dtq2-IlaudHbwlhHt1o9cWbFF
+  Valid: true
+  Tampered message valid: false
+  Old MAC valid: true
+*/
+
+/**
+ * Keyring containing all keys that can be used to verify MACs, and the ID of the one that is used to calculate new MACs.
+ * @typedef {Object} HmacKeyring
+ * @property {string} current ID of the key used to calculate new MACs
+ * @property {Record<string, {key: CryptoKey, algorithm: 'HS256'|'HS384'|'HS512'}>} keys All keys, by their ID
+ */
+
+/**
+ * Imports a key for HMAC from its raw bytes.
+ * @param {ArrayBufferLike} rawKey The key's bytes
+ * @param {'HS256'|'HS384'|'HS512'} algorithm Algorithm the key is used for
+ * @returns {Promise<CryptoKey>} A CryptoKey object that can be used to sign and verify MACs
+ */
+function importHmacKey(rawKey, algorithm) {
+    return window.crypto.subtle.importKey(
+        // Specify that the key is in raw format, i.e. just a byte sequence
+        'raw',
+        // The key's bytes
+        rawKey,
+        // Use the key for HMAC with the hashing function for the algorithm
+        {name: 'HMAC', hash: algorithms[algorithm]},
+        // Make the key not extractable
+        false,
+        // This key can be used to calculate and verify MACs
+        ['sign', 'verify']
+    )
+}
+
+/**
+ * Calculates the MAC of a message using the current key in the keyring.
+ * @param {HmacKeyring} keyring Keyring
+ * @param {ArrayBufferLike} message Message to authenticate, as a buffer
+ * @returns {Promise<string>} The MAC, in the format "<keyId>.<algorithm>.<mac>"
+ */
+async function sign(keyring, message) {
+    const {key, algorithm} = keyring.keys[keyring.current]
+    const mac = await window.crypto.subtle.sign('HMAC', key, message)
+    return keyring.current + '.' + algorithm + '.' + EncodeBase64Url(mac).replace(/=+$/, '')
+}
+
+/**
+ * Verifies the MAC of a message, using the key from the keyring whose ID is in the MAC.
+ * @param {HmacKeyring} keyring Keyring
+ * @param {ArrayBufferLike} message Message that was authenticated, as a buffer
+ * @param {string} mac The MAC to verify, in the format "<keyId>.<algorithm>.<mac>"
+ * @returns {Promise<boolean>} Returns true if the MAC is valid
+ */
+async function verify(keyring, message, mac) {
+    const parts = mac.split('.')
+    if (parts.length != 3) {
+        return false
+    }
+    const [keyId, algorithm, value] = parts
+
+    // The key must be in the keyring, and the algorithm must be the one the key is meant for
+    // This prevents an attacker from choosing a different algorithm
+    const entry = Object.prototype.hasOwnProperty.call(keyring.keys, keyId) && keyring.keys[keyId]
+    if (!entry || entry.algorithm != algorithm) {
+        return false
+    }
+
+    // Add the padding back before decoding the value
+    const padded = value + '='.repeat((4 - value.length % 4) % 4)
+
+    // Verify the MAC
+    // WebCrypto compares the MACs in constant time
+    return window.crypto.subtle.verify(
+        'HMAC',
+        entry.key,
+        DecodeBase64Url(padded),
+        message
+    )
+}
@@ -0,0 +1,112 @@
+// Argon2 and scrypt for the browser are available in the hash-wasm module from NPM
+import {argon2id, scrypt} from 'hash-wasm'
+
+// Wrap in an asynchronous IIFE (Immediately-Invoked Function Expression) because we need to use the await keyword
+;(async () => {
+    // Target time for each invocation of the KDF, in milliseconds
+    const targetMs = 500
+
+    // Maximum amount of memory to use, in KiB
+    // Browsers (especially on mobile devices) have less memory available than servers, so this is lower than in Node.js
+    const maxMemoryKiB = 32 * 1024
+
+    // Run the calibration and print the profile
+    // The profile has the same format as the one returned by ch4-symmetric-encryption/kdf-calibrate.js in Node.js
+    const profile = await calibrate(targetMs, maxMemoryKiB)
+    console.log('Profile:', JSON.stringify(profile))
+})()
+
+/*
+Example result (will be different on every device):
+  Argon2id: m=32768,t=16,p=1 takes 457ms
+  scrypt: ln=15,r=8,p=1 takes 91ms
+  Profile: {"argon2id":{"m":32768,"t":16,"p":1},"scrypt":{"ln":15,"r":8,"p":1}}
+*/
+
+/**
+ * Benchmarks Argon2id and scrypt in the current browser tab, and returns the parameters that take up to the target time and stay within the memory budget.
+ * Parameter names are the same as in the PHC string format; for example, `argon2id` can be used as the `cost` object in hash-argon2.js and key-derivation-argon2.js.
+ * @param {number} targetMs Target time for each invocation of the KDF, in milliseconds
+ * @param {number} maxMemoryKiB Maximum amount of memory to use, in KiB
+ * @returns {Promise<{argon2id: {m: number, t: number, p: number}, scrypt: {ln: number, r: number, p: number}}>} The profile
+ */
+async function calibrate(targetMs, maxMemoryKiB) {
+    // Generate a random, 16-byte salt
+    const salt = new Uint8Array(16)
+    window.crypto.getRandomValues(salt)
+    const password = 'correct horse battery staple'
+
+    // Argon2id
+    // Start with the largest power of 2 that fits in the memory budget, and reduce the memory until a single iteration fits in the target time
+    const runArgon2 = (m, t) => argon2id({
+        password,
+        salt,
+        hashLength: 32,
+        outputType: 'binary',
+        parallelism: 1,
+        iterations: t,
+        memorySize: m,
+    })
+    let m = 2 ** Math.floor(Math.log2(maxMemoryKiB))
+    let ms = await benchmark(() => runArgon2(m, 1))
+    while (ms > targetMs && m > 8) {
+        m /= 2
+        ms = await benchmark(() => runArgon2(m, 1))
+    }
+    // Then, add iterations until the target time is reached
+    let t = 1
+    while (true) {
+        const next = await benchmark(() => runArgon2(m, t + 1))
+        if (next > targetMs) {
+            break
+        }
+        t++
+        ms = next
+    }
+    console.log(`Argon2id: m=${m},t=${t},p=1 takes ${Math.round(ms)}ms`)
+
+    // scrypt, which uses 128 * N * r bytes of memory
+    // Start from N = 2^10 and double it until the time or memory limit is reached
+    const r = 8
+    const runScrypt = (ln) => scrypt({
+        password,
+        salt,
+        costFactor: 2 ** ln,
+        blockSize: r,
+        parallelism: 1,
+        hashLength: 32,
+        outputType: 'binary',
+    })
+    const maxLn = Math.floor(Math.log2(maxMemoryKiB * 1024 / (128 * r)))
+    let ln = 10
+    let scryptMs = await benchmark(() => runScrypt(ln))
+    while (ln < maxLn) {
+        const next = await benchmark(() => runScrypt(ln + 1))
+        if (next > targetMs) {
+            break
+        }
+        ln++
+        scryptMs = next
+    }
+    console.log(`scrypt: ln=${ln},r=${r},p=1 takes ${Math.round(scryptMs)}ms`)
+
+    return {
+        argon2id: {m, t, p: 1},
+        scrypt: {ln, r, p: 1},
+    }
+}
+
+/**
+ * Runs a function a few times and returns the median time it took, in milliseconds.
+ * @param {() => Promise<any>} fn Function to benchmark
+ * @returns {Promise<number>} Median time, in milliseconds
+ */
+async function benchmark(fn) {
+    const times = []
+    for (let i = 0; i < 3; i++) {
+        const start = performance.now()
+        await fn()
+        times.push(performance.now() - start)
+    }
+    return times.sort((a, b) => a - b)[1]
+}
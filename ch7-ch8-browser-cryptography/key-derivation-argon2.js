@@ -7,6 +7,13 @@ import {argon2id} from 'hash-wasm'
     // Passphrase to derive the key from
     const passphrase = 'correct horse battery staple'
 
+    // Cost parameters for Argon2id: memory in KiB (m), iterations (t), and parallelism (p)
+    // These are the default values that node-argon2 uses and may need tuning depending on your requirements
+    // You can replace them with the "argon2id" object in the profile returned by kdf-calibrate.js
+    // Information on parameter choice can be found in RFC-9106, section 4:
+    // https://datatracker.ietf.org/doc/html/rfc9106#section-4
+    const cost = {m: 4096, t: 3, p: 1}
+
     // Generate a random, 16-byte salt
     const salt = new Uint8Array(16)
     window.crypto.getRandomValues(salt)
@@ -24,13 +31,10 @@ import {argon2id} from 'hash-wasm'
         // Because we're deriving a key, we want the function to return a Uint8Array
         outputType: 'binary',
 
-        // Parameters for deriving the key
-        // These are the default values that node-argon2 uses and may need tuning depending on your requirements
-        // Information on parameter choice can be found in RFC-9106, section 4:
-        // https://datatracker.ietf.org/doc/html/rfc9106#section-4
-        parallelism: 1,
-        iterations: 3,
-        memorySize: 4096, // In KB
+        // Parameters for deriving the key, from the cost object
+        parallelism: cost.p,
+        iterations: cost.t,
+        memorySize: cost.m, // In KB
     })
 
     // Import the calculated hash as an AES-256 symmetric key
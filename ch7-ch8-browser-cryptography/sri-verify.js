@@ -0,0 +1,92 @@
+// This depends on a base64 encoding library, such as arraybuffer-encoding from NPM
+import {Encode} from 'arraybuffer-encoding/base64/standard'
+
+// Map between the prefixes used in integrity values and the hashing functions in WebCrypto
+// They are listed from the weakest to the strongest
+const algorithms = {
+    'sha256': 'SHA-256',
+    'sha384': 'SHA-384',
+    'sha512': 'SHA-512',
+}
+
+// Wrap in an asynchronous IIFE (Immediately-Invoked Function Expression) because we need to use the await keyword
+;(async () => {
+    // Load the manifest generated by ch3-hashing/sri.js
+    // In your app, the manifest should be delivered in a way that can be trusted, for example embedded in the HTML page
+    const manifest = await (await fetch('/sri-manifest.json')).json()
+
+    // Fetch an asset and verify it before using it
+    // This throws an error if the asset doesn't match the integrity value in the manifest
+    const data = await fetchVerified(manifest, 'assets/app.js')
+    console.log('Asset is valid; size:', data.byteLength)
+
+    // Because the data was verified, it can now be used; for example, we can import it as a module
+    const blob = new Blob([data], {type: 'text/javascript'})
+    const url = URL.createObjectURL(blob)
+    await import(url)
+    URL.revokeObjectURL(url)
+})()
+
+/*
+Example result:
+  Asset is valid; size: 19
+  app
+*/
+
+/**
+ * Fetches an asset and verifies it against the integrity value in the manifest.
+ * @param {Record<string, string>} manifest The manifest, where keys are the paths of the assets and values are the integrity values
+ * @param {string} path Path of the asset, as in the manifest
+ * @returns {Promise<ArrayBuffer>} The content of the asset, only if it's valid
+ */
+async function fetchVerified(manifest, path) {
+    const integrity = manifest[path]
+    if (!integrity) {
+        throw Error('Asset not found in the manifest: ' + path)
+    }
+
+    // Fetch the asset
+    const res = await fetch('/' + path)
+    if (!res.ok) {
+        throw Error('Failed to fetch the asset: ' + res.status)
+    }
+    const data = await res.arrayBuffer()
+
+    // Verify the integrity value
+    if (!(await verifyIntegrity(data, integrity))) {
+        throw Error('Integrity check failed for asset: ' + path)
+    }
+    return data
+}
+
+/**
+ * Verifies that some data matches an integrity value, such as "sha384-<base64-encoded digest>".
+ * Like browsers do for the integrity attribute, the value can contain multiple space-separated hashes; in this case only the ones using the strongest hashing function are considered, and any of them can match.
+ * @param {ArrayBufferLike} data Data to verify
+ * @param {string} integrity The integrity value
+ * @returns {Promise<boolean>} Returns true if the data matches
+ */
+async function verifyIntegrity(data, integrity) {
+    // Parse the list of hashes, ignoring those using hashing functions that aren't supported
+    const names = Object.keys(algorithms)
+    const hashes = integrity.split(/\s+/)
+        .map((value) => {
+            const match = value.match(/^(sha256|sha384|sha512)-([A-Za-z0-9+/]+={0,2})$/)
+            return match && {algorithm: match[1], digest: match[2]}
+        })
+        .filter((hash) => hash)
+    if (!hashes.length) {
+        return false
+    }
+
+    // Keep only the hashes using the strongest hashing function
+    const strongest = Math.max(...hashes.map((hash) => names.indexOf(hash.algorithm)))
+    const algorithm = names[strongest]
+
+    // Calculate the digest of the data and compare it with the expected values
+    // Integrity values are not secret, so a constant-time comparison isn't necessary here
+    const digest = Encode(
+        await window.crypto.subtle.digest(algorithms[algorithm], data)
+    )
+    return hashes.some((hash) => hash.algorithm == algorithm && hash.digest == digest)
+}
@@ -1,3 +1,6 @@
+// This depends on a base64 encoding library, such as arraybuffer-encoding from NPM
+import {Encode as EncodeBase64, Decode as DecodeBase64} from 'arraybuffer-encoding/base64/standard'
+
 // Wrap in an asynchronous IIFE (Immediately-Invoked Function Expression) because we need to use the await keyword
 ;(async () => {
     // Message to encrypt
@@ -68,3 +71,149 @@ Example result (truncated):
   encryptedStore: Uint8Array(32) [...]
   decrypted: Hello world!
 */
+
+/*
+Authenticated mode: AES-256-CBC + HMAC-SHA256 (Encrypt-then-MAC), in the style of the "A256CBC-HS512" algorithm from RFC 7518.
+This is the same format used by ch4-symmetric-encryption/aes-256-cbc.js, and the output is byte-identical:
+  - The 512-bit master key is split in two: the first 32 bytes are the key for HMAC-SHA256, and the last 32 bytes are the key for AES-256-CBC
+  - The MAC is computed over: AAD || IV || ciphertext || length of the AAD in bits (8 bytes, uint64 big-endian)
+  - The output is: IV (16 bytes) || ciphertext || MAC (32 bytes)
+*/
+
+// Wrap in an asynchronous IIFE (Immediately-Invoked Function Expression) because we need to use the await keyword
+;(async () => {
+    // In this case, we're using a pre-shared 512-bit master key, which is stored here base64-encoded
+    // This is the same key used in ch4-symmetric-encryption/aes-256-cbc.js
+    const keys = await importAuthenticatedKey(DecodeBase64('GTXCWnvLwC8XaoDLIM4hf2P0Ne8gdhCl4C/tw+shBYRqZ6V4S36Prorb9ZoXSYifmZ05msqlW5xeQ7KSXYFKzA=='))
+
+    // The AAD is optional; here we're binding the message to a context, such as a record ID
+    const encoder = new TextEncoder()
+    const aad = encoder.encode('user:42')
+
+    // Encrypt and decrypt a message
+    const encrypted = await encryptAuthenticated(keys, encoder.encode('Hello world!'), aad)
+    console.log('Encrypted message:', EncodeBase64(encrypted))
+    const decoder = new TextDecoder('utf-8')
+    console.log('Decrypted message:', decoder.decode(await decryptAuthenticated(keys, encrypted, aad)))
+
+    // Decrypting fails if the AAD doesn't match
+    try {
+        await decryptAuthenticated(keys, encrypted, encoder.encode('user:43'))
+    }
+    catch (err) {
+        console.log('Wrong AAD:', err.message)
+    }
+
+    // This message was encrypted in Node.js by ch4-symmetric-encryption/aes-256-cbc.js
+    const nodeMessage = new Uint8Array(DecodeBase64('aIH0PK5mULIchK2jER+KbRpsP8Qfhm45Dqate/PjIDwPy86NYPwfNJiAn9qCo38uCvzTnHTCCXIdfxu+2drz3A=='))
+    console.log('Decrypted message (from Node.js):', decoder.decode(await decryptAuthenticated(keys, nodeMessage, aad)))
+})()
+
+/*
+Example result (will be different every time):
+  Encrypted message: N3TpGHGfe6I1wCskZ4z7FXas9v2dBSohpQgjkEduM733OLiAWqbK6s9A460UC8UCJuETtVtiQFiRkmqcsEOm9A==
+  Decrypted message: Hello world!
+  Wrong AAD: Invalid MAC
+  Decrypted message (from Node.js): Hello world!
+*/
+
+/**
+ * Splits a 512-bit master key into the keys for HMAC-SHA256 and AES-256-CBC, and imports them.
+ * @param {ArrayBufferLike} masterKey A 512-bit (64 byte) key
+ * @returns {Promise<{macKey: CryptoKey, encKey: CryptoKey}>} The two keys
+ */
+async function importAuthenticatedKey(masterKey) {
+    masterKey = new Uint8Array(masterKey)
+    if (masterKey.byteLength != 64) {
+        throw Error('Master key must be 64 bytes long')
+    }
+
+    // The first 32 bytes are the key for HMAC-SHA256
+    const macKey = await window.crypto.subtle.importKey(
+        'raw',
+        masterKey.slice(0, 32),
+        {name: 'HMAC', hash: 'SHA-256'},
+        false,
+        ['sign', 'verify']
+    )
+    // The last 32 bytes are the key for AES-256-CBC
+    const encKey = await window.crypto.subtle.importKey(
+        'raw',
+        masterKey.slice(32, 64),
+        {name: 'AES-CBC', length: 256},
+        false,
+        ['encrypt', 'decrypt']
+    )
+    return {macKey, encKey}
+}
+
+/**
+ * Returns the data the MAC is computed over: AAD || IV || ciphertext || length of the AAD in bits.
+ * @param {Uint8Array} aad Additional Authenticated Data (can be empty)
+ * @param {Uint8Array} iv The IV
+ * @param {Uint8Array} ciphertext The ciphertext
+ * @returns {Uint8Array} The data to authenticate
+ */
+function macInput(aad, iv, ciphertext) {
+    const result = new Uint8Array(aad.byteLength + iv.byteLength + ciphertext.byteLength + 8)
+    result.set(aad, 0)
+    result.set(iv, aad.byteLength)
+    result.set(ciphertext, aad.byteLength + iv.byteLength)
+    // Length of the AAD in bits, as a 64-bit big-endian integer
+    new DataView(result.buffer).setBigUint64(result.byteLength - 8, BigInt(aad.byteLength) * 8n)
+    return result
+}
+
+/**
+ * Encrypts a message using AES-256-CBC, and authenticates it with HMAC-SHA256 (Encrypt-then-MAC).
+ * @param {{macKey: CryptoKey, encKey: CryptoKey}} keys Keys returned by importAuthenticatedKey
+ * @param {Uint8Array} plaintext The message to encrypt
+ * @param {Uint8Array} [aad] Optional Additional Authenticated Data, which is authenticated but not encrypted
+ * @returns {Promise<Uint8Array>} The ciphertext (with the IV prepended and the MAC appended)
+ */
+async function encryptAuthenticated(keys, plaintext, aad) {
+    aad = aad || new Uint8Array(0)
+
+    // Encrypt the message with a random IV
+    const iv = new Uint8Array(16)
+    window.crypto.getRandomValues(iv)
+    const ciphertext = new Uint8Array(
+        await window.crypto.subtle.encrypt({name: 'AES-CBC', iv}, keys.encKey, plaintext)
+    )
+
+    // Compute the MAC over the ciphertext (and the IV and AAD), and append it
+    const mac = new Uint8Array(
+        await window.crypto.subtle.sign('HMAC', keys.macKey, macInput(aad, iv, ciphertext))
+    )
+    return new Uint8Array([...iv, ...ciphertext, ...mac])
+}
+
+/**
+ * Verifies the MAC of the encrypted message, then decrypts it using AES-256-CBC.
+ * Throws an error if the message (or the AAD) was tampered with, without attempting to decrypt it.
+ * @param {{macKey: CryptoKey, encKey: CryptoKey}} keys Keys returned by importAuthenticatedKey
+ * @param {Uint8Array} message The ciphertext (with the IV prepended and the MAC appended)
+ * @param {Uint8Array} [aad] The Additional Authenticated Data that was used when encrypting the message, if any
+ * @returns {Promise<ArrayBuffer>} The decrypted message
+ */
+async function decryptAuthenticated(keys, message, aad) {
+    aad = aad || new Uint8Array(0)
+
+    // The first 16 bytes are the IV, the last 32 bytes are the MAC, and the rest is the ciphertext
+    if (message.byteLength < 16 + 16 + 32) {
+        throw Error('Message is too short')
+    }
+    const iv = message.slice(0, 16)
+    const ciphertext = message.slice(16, message.byteLength - 32)
+    const mac = message.slice(message.byteLength - 32)
+
+    // Verify the MAC before doing anything else
+    // crypto.subtle.verify compares the MACs in constant time
+    const valid = await window.crypto.subtle.verify('HMAC', keys.macKey, mac, macInput(aad, iv, ciphertext))
+    if (!valid) {
+        throw Error('Invalid MAC')
+    }
+
+    // Decrypt the ciphertext
+    return window.crypto.subtle.decrypt({name: 'AES-CBC', iv}, keys.encKey, ciphertext)
+}
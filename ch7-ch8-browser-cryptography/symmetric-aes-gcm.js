@@ -17,15 +17,75 @@
     const encoder = new TextEncoder()
     const plaintext = encoder.encode(plaintextMessage)
 
+    // Additional Authenticated Data (AAD), which is authenticated but not encrypted
+    // This is optional, and it's used to bind the ciphertext to its context, such as the ID of the record and the name of the column where it's stored
+    // The AAD is not part of the encrypted data, so the same value must be provided again when decrypting
+    const aad = encoder.encode('users:42:email')
+
+    // Encrypt the plaintext using AES-256-GCM
+    const encryptedStore = await encrypt(key, plaintext, aad)
+    console.log('encryptedStore:', encryptedStore)
+
+    // Decrypt the ciphertext using AES-256-GCM and the same key and AAD
+    const decrypted = await decrypt(key, encryptedStore, aad)
+
+    // The value of decrypted is a buffer, so we need to decode it to a UTF-8 string
+    const decoder = new TextDecoder('utf-8')
+    console.log(
+        'decrypted:',
+        decoder.decode(decrypted)
+    )
+
+    // Decrypting with a different AAD fails
+    try {
+        await decrypt(key, encryptedStore, encoder.encode('users:43:email'))
+    }
+    catch (err) {
+        if (err instanceof AuthenticationError) {
+            console.log('decrypting with the wrong AAD failed:', err.message)
+        }
+        else {
+            throw err
+        }
+    }
+})()
+
+/*
+Example result (truncated):
+  encryptedStore: Uint8Array(44) [...]
+  decrypted: Hello world!
+  decrypting with the wrong AAD failed: Decryption failed: the ciphertext or the associated data is not authentic
+*/
+
+// Error thrown when decryption fails; copied from aes-256-gcm.js
+class AuthenticationError extends Error {
+    constructor(message) {
+        super(message || 'Decryption failed: the ciphertext or the associated data is not authentic')
+        this.name = 'AuthenticationError'
+    }
+}
+
+/**
+ * Encrypts a message using AES-256-GCM.
+ * @param {CryptoKey} key AES-GCM key
+ * @param {Uint8Array} plaintext The message to encrypt
+ * @param {Uint8Array} [aad] Optional Additional Authenticated Data (AAD), which is authenticated but not encrypted
+ * @returns {Promise<Uint8Array>} The ciphertext (with the IV prepended and the authentication tag appended)
+ */
+async function encrypt(key, plaintext, aad) {
     // Generate a random IV for AES-GCM (16 bytes)
-    let iv = new Uint8Array(16)
+    const iv = new Uint8Array(16)
     window.crypto.getRandomValues(iv)
 
     // Encrypt the plaintext using AES-256-GCM
     // The result contains the AES-GCM authentication tag automatically appended at the end
-    let encrypted = await window.crypto.subtle.encrypt(
-        // Set the algorithm to AES-GCM and pass the IV
-        {name: 'AES-GCM', iv: iv},
+    const params = {name: 'AES-GCM', iv: iv}
+    if (aad) {
+        params.additionalData = aad
+    }
+    const encrypted = await window.crypto.subtle.encrypt(
+        // Set the algorithm to AES-GCM and pass the IV and AAD
+        params,
         // Key object
         key,
         // Plaintext message as buffer
@@ -34,38 +94,46 @@
 
     // Concatenate the IV and the encrypted data (ciphertext)
     // This is the data that should be stored or transmitted
-    const encryptedStore = new Uint8Array([
+    return new Uint8Array([
         ...iv,
         ...new Uint8Array(encrypted)
     ])
-    console.log('encryptedStore:', encryptedStore)
+}
 
+/**
+ * Decrypts a message using AES-256-GCM.
+ * @param {CryptoKey} key AES-GCM key
+ * @param {Uint8Array} encryptedStore The ciphertext (with the IV prepended and the authentication tag appended)
+ * @param {Uint8Array} [aad] The Additional Authenticated Data (AAD) that was used when encrypting the message, if any
+ * @returns {Promise<ArrayBuffer>} The decrypted message
+ * @throws {AuthenticationError} If the message was tampered with, or the AAD doesn't match
+ */
+async function decrypt(key, encryptedStore, aad) {
     // Extract the IV and the ciphertext from encryptedStore
     // The first 16 bytes are for the IV, the rest is for the ciphertext (which includes the authentication tag)
-    // We're overwriting the iv and encrypted variables with values that are the same as they were before, but this is just for an example on how to revert the concatenation!
-    iv = encryptedStore.slice(0, 16)
-    encrypted = encryptedStore.slice(16)
-
-    // Decrypt the ciphertext using AES-256-GCM and the same key
-    const decrypted = await window.crypto.subtle.decrypt(
-        // Set the algorithm to AES-GCM and pass the IV
-        {name: 'AES-GCM', iv: iv},
-        // Key object
-        key,
-        // Ciphertext
-        encrypted
-    )
+    const iv = encryptedStore.slice(0, 16)
+    const encrypted = encryptedStore.slice(16)
 
-    // The value of decrypted is a buffer, so we need to decode it to a UTF-8 string
-    const decoder = new TextDecoder('utf-8')
-    console.log(
-        'decrypted:',
-        decoder.decode(decrypted)
-    )
-})()
-
-/*
-Example result (truncated):
-  encryptedStore: Uint8Array(44) [...]
-  decrypted: Hello world!
-*/
+    // Decrypt the ciphertext using AES-256-GCM
+    const params = {name: 'AES-GCM', iv: iv}
+    if (aad) {
+        params.additionalData = aad
+    }
+    try {
+        return await window.crypto.subtle.decrypt(
+            // Set the algorithm to AES-GCM and pass the IV and AAD
+            params,
+            // Key object
+            key,
+            // Ciphertext
+            encrypted
+        )
+    }
+    catch (err) {
+        // WebCrypto throws an "OperationError" DOMException when the authentication tag doesn't match
+        if (err && err.name == 'OperationError') {
+            throw new AuthenticationError()
+        }
+        throw err
+    }
+}
@@ -0,0 +1,465 @@
+// This depends on hash-wasm from NPM for computing hashes incrementally, because WebCrypto can only hash whole buffers
+import {createSHA256, createSHA512} from 'hash-wasm'
+// This depends on a hex encoding library, such as arraybuffer-encoding from NPM
+import {Encode} from 'arraybuffer-encoding/hex'
+
+/*
+TransformStream implementations (WHATWG Web Streams) for encrypting, decrypting, hashing, and signing the digest of data.
+These work unchanged in browsers and in Node.js 18+, where TransformStream is a global too. Readable streams such as the body of a `fetch` response or the result of `File.stream()` can be piped through them with `pipeThrough`.
+
+The encrypted streams use the same format as aes-stream.js (with AES-256-GCM), so files encrypted in the browser can be decrypted in Node.js with aes-stream.js, and vice versa.
+*/
+
+// WebCrypto is available as globalThis.crypto in browsers and in Node.js 19+
+// Node.js 18 exposes it only as the "webcrypto" property of the crypto module
+const webcrypto = globalThis.crypto || (await import('node:crypto')).webcrypto
+
+// Constants for the format of the encrypted stream (see aes-stream.js)
+const version = 0x01
+const algorithmAesGcm = 0x01
+const headerLength = 13
+const noncePrefixLength = 7
+const tagLength = 16
+const defaultChunkSize = 64 * 1024
+const maxChunkSize = 16 * 1024 * 1024
+
+// Label for the "signed digest" format (see createDigestSignStream), which is prepended to the SHA-256 digest of the data before signing it
+// This keeps these signatures separate from signatures over other messages, including ones that are 32 bytes long
+const signedDigestLabel = new TextEncoder().encode('web-streams signed digest v1 SHA-256\0')
+
+// Wrap in an asynchronous IIFE (Immediately-Invoked Function Expression) because we need to use the await keyword
+;(async () => {
+    // Data to process
+    // In a browser, this could be the body of a fetch response (`(await fetch(url)).body`) or a file selected by the user (`file.stream()`)
+    const data = new Uint8Array(200000)
+    webcrypto.getRandomValues(data.subarray(0, 65536))
+    const source = () => new Blob([data]).stream()
+
+    // Generate a random 256-bit key for use with AES-GCM
+    const key = await webcrypto.subtle.generateKey(
+        {name: 'AES-GCM', length: 256},
+        false,
+        ['encrypt', 'decrypt']
+    )
+
+    // Additional Authenticated Data (AAD), such as the name of the file
+    const aad = new TextEncoder().encode('data.bin')
+
+    // Hash the plaintext while encrypting it, in a single pass
+    const hash = await createHashStream('SHA-256')
+    const encrypted = await collect(
+        source()
+            .pipeThrough(hash.stream)
+            .pipeThrough(createEncryptStream(key, {aad}))
+    )
+    console.log('SHA-256 of the plaintext:', Encode(await hash.digest))
+    console.log('Size of the encrypted stream:', encrypted.byteLength)
+
+    // Decrypt the stream and compare the result with the original data
+    const decrypted = await collect(
+        new Blob([encrypted]).stream()
+            .pipeThrough(createDecryptStream(key, {aad}))
+    )
+    console.log('Decrypted data matches:', Encode(decrypted) == Encode(data))
+
+    // Decrypting with the wrong AAD fails
+    try {
+        await collect(
+            new Blob([encrypted]).stream()
+                .pipeThrough(createDecryptStream(key, {aad: new TextEncoder().encode('other.bin')}))
+        )
+    }
+    catch (err) {
+        console.log(err.name + ':', err.message)
+    }
+
+    // Sign the digest of the data with ECDSA while it's streamed, then verify the signature
+    const keyPair = await webcrypto.subtle.generateKey(
+        {name: 'ECDSA', namedCurve: 'P-256'},
+        false,
+        ['sign', 'verify']
+    )
+    const signer = await createDigestSignStream(keyPair.privateKey)
+    await collect(source().pipeThrough(signer.stream))
+    const signature = await signer.signature
+    const verifier = await createDigestVerifyStream(keyPair.publicKey, signature)
+    await collect(source().pipeThrough(verifier.stream))
+    console.log('Signature valid?', await verifier.valid)
+
+    // If a later stage of the pipeline fails, the digest (and the signature) are rejected instead of never resolving
+    const failing = await createHashStream('SHA-256')
+    const pipeline = source()
+        .pipeThrough(failing.stream)
+        .pipeTo(new WritableStream({
+            write() {
+                throw Error('Upload failed')
+            }
+        }))
+    await pipeline.catch(() => {})
+    try {
+        await failing.digest
+    }
+    catch (err) {
+        console.log('Digest rejected:', err.message)
+    }
+})()
+
+/*
+Example result (will be different every time):
+  SHA-256 of the plaintext: ba2e2edeb51bcf3d1215c91746c560364b82eebfab41407243512442244b9cbb
+  Size of the encrypted stream: 200077
+  Decrypted data matches: true
+  AuthenticationError: Decryption failed: the ciphertext or the associated data is not authentic
+  Signature valid? true
+  Digest rejected: Upload failed
+*/
+
+// Error thrown when decryption fails; copied from aes-256-gcm.js
+class AuthenticationError extends Error {
+    constructor(message) {
+        super(message || 'Decryption failed: the ciphertext or the associated data is not authentic')
+        this.name = 'AuthenticationError'
+    }
+}
+
+/**
+ * Creates a TransformStream that encrypts data with AES-256-GCM, in the format used by aes-stream.js.
+ * The data is split into chunks, each encrypted separately, so the stream never needs to be kept in memory entirely.
+ * @param {CryptoKey} key AES-GCM key
+ * @param {{chunkSize?: number, aad?: Uint8Array}} [options] Size of each chunk in bytes (default: 64KB, up to 16MB), and optional Additional Authenticated Data (AAD)
+ * @returns {TransformStream<Uint8Array, Uint8Array>} A TransformStream: write the plaintext to it, and read the ciphertext from it
+ */
+function createEncryptStream(key, options) {
+    const chunkSize = (options && options.chunkSize) || defaultChunkSize
+    const aad = (options && options.aad) || new Uint8Array(0)
+    if (!validChunkSize(chunkSize)) {
+        throw Error('Invalid chunk size: ' + chunkSize)
+    }
+
+    // Build the header, which includes a random nonce prefix
+    const header = new Uint8Array(headerLength)
+    header[0] = version
+    header[1] = algorithmAesGcm
+    new DataView(header.buffer).setUint32(2, chunkSize)
+    webcrypto.getRandomValues(header.subarray(headerLength - noncePrefixLength))
+
+    // Data that hasn't filled a whole chunk yet, and index of the next chunk
+    let pending = new Uint8Array(0)
+    let counter = 0
+
+    return new TransformStream({
+        start(controller) {
+            // Write the header first
+            controller.enqueue(header)
+        },
+        async transform(data, controller) {
+            pending = concat(pending, data)
+            // Encrypt all chunks that are complete
+            // We always keep at least one byte in pending, because we don't know yet if the chunk is the last one
+            while (pending.length > chunkSize) {
+                controller.enqueue(await encryptChunk(key, header, aad, counter++, false, pending.subarray(0, chunkSize)))
+                pending = pending.slice(chunkSize)
+            }
+        },
+        async flush(controller) {
+            // Encrypt the last chunk, which may be empty
+            controller.enqueue(await encryptChunk(key, header, aad, counter++, true, pending))
+        }
+    })
+}
+
+/**
+ * Creates a TransformStream that decrypts data encrypted with createEncryptStream (or with aes-stream.js, using AES-256-GCM).
+ * Each chunk is returned only after its authentication tag is verified; if any verification fails, the stream errors with an AuthenticationError.
+ * @param {CryptoKey} key AES-GCM key
+ * @param {{aad?: Uint8Array}} [options] The Additional Authenticated Data (AAD) that was used when encrypting the stream, if any
+ * @returns {TransformStream<Uint8Array, Uint8Array>} A TransformStream: write the ciphertext to it, and read the plaintext from it
+ */
+function createDecryptStream(key, options) {
+    const aad = (options && options.aad) || new Uint8Array(0)
+    let header = null
+    let chunkSize = 0
+    let pending = new Uint8Array(0)
+    let counter = 0
+
+    return new TransformStream({
+        async transform(data, controller) {
+            pending = concat(pending, data)
+
+            // Read the header first
+            if (!header) {
+                if (pending.length < headerLength) {
+                    return
+                }
+                header = pending.slice(0, headerLength)
+                pending = pending.slice(headerLength)
+                if (header[0] != version || header[1] != algorithmAesGcm) {
+                    throw Error('Unsupported format')
+                }
+                // The chunk size comes from the stream, so it's checked before it's used: otherwise, a huge value would make us buffer the whole stream before checking any tag
+                chunkSize = new DataView(header.buffer).getUint32(2)
+                if (!validChunkSize(chunkSize)) {
+                    throw Error('Invalid chunk size: ' + chunkSize)
+                }
+            }
+
+            // Decrypt all chunks that are complete
+            // Like when encrypting, we need to keep some data in pending to know if a chunk is the last one
+            while (pending.length > chunkSize + tagLength) {
+                controller.enqueue(await decryptChunk(key, header, aad, counter++, false, pending.subarray(0, chunkSize + tagLength)))
+                pending = pending.slice(chunkSize + tagLength)
+            }
+        },
+        async flush(controller) {
+            // Decrypt the last chunk
+            // If the stream was truncated, this fails because the chunk isn't flagged as the last one
+            if (!header) {
+                throw Error('Encrypted stream is truncated')
+            }
+            controller.enqueue(await decryptChunk(key, header, aad, counter++, true, pending))
+        }
+    })
+}
+
+/**
+ * Creates a pass-through TransformStream that computes the hash of the data flowing through it.
+ * The data is returned unchanged, so the stream can be added to any pipeline (for example, to hash a file while it's being encrypted or uploaded).
+ * @param {'SHA-256'|'SHA-512'} [algorithm] Hashing function; defaults to SHA-256
+ * @returns {Promise<{stream: TransformStream<Uint8Array, Uint8Array>, digest: Promise<Uint8Array>}>} The stream, and a promise that resolves with the digest when the stream ends, or rejects if the pipeline fails before that
+ */
+async function createHashStream(algorithm) {
+    const hasher = await createHasher(algorithm || 'SHA-256')
+    let resolve, reject
+    const digest = new Promise((res, rej) => {
+        resolve = res
+        reject = rej
+    })
+
+    const stream = new TransformStream({
+        transform(data, controller) {
+            hasher.update(data)
+            controller.enqueue(data)
+        },
+        flush() {
+            resolve(hasher.digest('binary'))
+        }
+    })
+
+    // If the pipeline fails, either before this stream (aborting the writable side) or after it (canceling the readable side), the digest is rejected with the error
+    // We attach an empty handler so the rejection isn't reported as unhandled when nobody is waiting for the digest
+    digest.catch(() => {})
+    return {stream: withErrorHandler(stream, reject), digest}
+}
+
+/**
+ * Creates a pass-through TransformStream that computes a "signed digest" of the data flowing through it.
+ * WebCrypto can only sign whole buffers, so the data is hashed incrementally with SHA-256, and what's signed is `signedDigestLabel || SHA-256(data)`. This is not a standard signature over the data: it can only be verified with createDigestVerifyStream (or by rebuilding the same input), and it's not compatible with signatures calculated over the whole message, such as those in signatures-rsa-stream.js.
+ * @param {CryptoKey} privateKey Private key for ECDSA, RSA-PSS, RSASSA-PKCS1-v1_5, or Ed25519
+ * @returns {Promise<{stream: TransformStream<Uint8Array, Uint8Array>, signature: Promise<ArrayBuffer>}>} The stream, and a promise that resolves with the signature when the stream ends, or rejects if the pipeline fails
+ */
+async function createDigestSignStream(privateKey) {
+    const hash = await createHashStream('SHA-256')
+    const signature = hash.digest.then((digest) => webcrypto.subtle.sign(signParams(privateKey), privateKey, concat(signedDigestLabel, digest)))
+    signature.catch(() => {})
+    return {stream: hash.stream, signature}
+}
+
+/**
+ * Creates a pass-through TransformStream that verifies a signature calculated with createDigestSignStream over the data flowing through it.
+ * Note that the data is returned before the signature is verified, so it must not be trusted until `valid` resolves with true.
+ * @param {CryptoKey} publicKey Public key for ECDSA, RSA-PSS, RSASSA-PKCS1-v1_5, or Ed25519
+ * @param {ArrayBuffer|Uint8Array} signature The signature
+ * @returns {Promise<{stream: TransformStream<Uint8Array, Uint8Array>, valid: Promise<boolean>}>} The stream, and a promise that resolves with the result of the verification when the stream ends, or rejects if the pipeline fails
+ */
+async function createDigestVerifyStream(publicKey, signature) {
+    const hash = await createHashStream('SHA-256')
+    const valid = hash.digest.then((digest) => webcrypto.subtle.verify(signParams(publicKey), publicKey, signature, concat(signedDigestLabel, digest)))
+    valid.catch(() => {})
+    return {stream: hash.stream, valid}
+}
+
+/**
+ * Encrypts a chunk with AES-256-GCM.
+ * WebCrypto appends the authentication tag to the ciphertext, which is the same layout used by aes-stream.js.
+ * @param {CryptoKey} key AES-GCM key
+ * @param {Uint8Array} header Header of the stream
+ * @param {Uint8Array} aad Additional Authenticated Data from the caller (can be empty); the AAD of the chunk is the header followed by this
+ * @param {number} counter Index of the chunk
+ * @param {boolean} last True if this is the last chunk
+ * @param {Uint8Array} chunk Plaintext
+ * @returns {Promise<Uint8Array>} The ciphertext, with the authentication tag appended
+ */
+async function encryptChunk(key, header, aad, counter, last, chunk) {
+    const encrypted = await webcrypto.subtle.encrypt(
+        {
+            name: 'AES-GCM',
+            iv: chunkNonce(header.subarray(headerLength - noncePrefixLength), counter, last),
+            additionalData: concat(header, aad),
+            tagLength: tagLength * 8
+        },
+        key,
+        chunk
+    )
+    return new Uint8Array(encrypted)
+}
+
+/**
+ * Decrypts a chunk with AES-256-GCM, verifying its authentication tag.
+ * @param {CryptoKey} key AES-GCM key
+ * @param {Uint8Array} header Header of the stream
+ * @param {Uint8Array} aad Additional Authenticated Data from the caller (can be empty); the AAD of the chunk is the header followed by this
+ * @param {number} counter Index of the chunk
+ * @param {boolean} last True if this is the last chunk
+ * @param {Uint8Array} chunk Ciphertext, with the authentication tag appended
+ * @returns {Promise<Uint8Array>} The plaintext
+ * @throws {AuthenticationError} If the chunk is not authentic
+ */
+async function decryptChunk(key, header, aad, counter, last, chunk) {
+    if (chunk.length < tagLength) {
+        throw Error('Encrypted stream is truncated')
+    }
+    try {
+        const decrypted = await webcrypto.subtle.decrypt(
+            {
+                name: 'AES-GCM',
+                iv: chunkNonce(header.subarray(headerLength - noncePrefixLength), counter, last),
+                additionalData: concat(header, aad),
+                tagLength: tagLength * 8
+            },
+            key,
+            chunk
+        )
+        return new Uint8Array(decrypted)
+    }
+    catch (err) {
+        // WebCrypto throws an "OperationError" DOMException when the authentication tag doesn't match
+        if (err && err.name == 'OperationError') {
+            throw new AuthenticationError()
+        }
+        throw err
+    }
+}
+
+/**
+ * Returns true if the chunk size is within the limits accepted by aes-stream.js.
+ * @param {number} chunkSize Size of each chunk, in bytes
+ * @returns {boolean} True if the chunk size is valid
+ */
+function validChunkSize(chunkSize) {
+    return Number.isInteger(chunkSize) && chunkSize >= 1 && chunkSize <= maxChunkSize
+}
+
+/**
+ * Returns the nonce for a chunk: nonce prefix (7 bytes) || chunk counter (4 bytes, uint32 big-endian) || last-chunk flag (1 byte).
+ * @param {Uint8Array} noncePrefix Nonce prefix from the header
+ * @param {number} counter Index of the chunk
+ * @param {boolean} last True if this is the last chunk
+ * @returns {Uint8Array} The 12-byte nonce
+ */
+function chunkNonce(noncePrefix, counter, last) {
+    if (counter > 0xFFFFFFFF) {
+        throw Error('Stream is too long')
+    }
+    const nonce = new Uint8Array(12)
+    nonce.set(noncePrefix, 0)
+    new DataView(nonce.buffer).setUint32(noncePrefixLength, counter)
+    nonce[11] = last ? 0x01 : 0x00
+    return nonce
+}
+
+/**
+ * Returns the algorithm parameters to use with subtle.sign and subtle.verify for a key.
+ * @param {CryptoKey} key Private or public key
+ * @returns {Object} Algorithm parameters
+ */
+function signParams(key) {
+    switch (key.algorithm.name) {
+        case 'ECDSA':
+            return {name: 'ECDSA', hash: 'SHA-256'}
+        case 'RSA-PSS':
+            return {name: 'RSA-PSS', saltLength: 32}
+        case 'RSASSA-PKCS1-v1_5':
+        case 'Ed25519':
+            return {name: key.algorithm.name}
+        default:
+            throw Error('Unsupported key algorithm: ' + key.algorithm.name)
+    }
+}
+
+/**
+ * Returns an incremental hasher from hash-wasm.
+ * @param {'SHA-256'|'SHA-512'} algorithm Hashing function
+ * @returns {Promise<import('hash-wasm').IHasher>} The hasher, already initialized
+ */
+async function createHasher(algorithm) {
+    let hasher
+    switch (algorithm) {
+        case 'SHA-256':
+            hasher = await createSHA256()
+            break
+        case 'SHA-512':
+            hasher = await createSHA512()
+            break
+        default:
+            throw Error('Unsupported hashing function: ' + algorithm)
+    }
+    hasher.init()
+    return hasher
+}
+
+/**
+ * Wraps a TransformStream so that a callback is invoked when its writable side is aborted (because an earlier stage of the pipeline failed), or when its readable side is canceled (because a later stage failed).
+ * @param {TransformStream} stream The stream
+ * @param {(reason: any) => void} onError Callback
+ * @returns {TransformStream} A TransformStream that forwards the data to and from the wrapped one
+ */
+function withErrorHandler(stream, onError) {
+    const writer = stream.writable.getWriter()
+    const writable = new WritableStream({
+        write: (chunk) => writer.write(chunk),
+        close: () => writer.close(),
+        abort: (reason) => {
+            onError(reason)
+            return writer.abort(reason)
+        }
+    })
+    const reader = stream.readable.getReader()
+    const readable = new ReadableStream({
+        async pull(controller) {
+            const {done, value} = await reader.read()
+            if (done) {
+                controller.close()
+            }
+            else {
+                controller.enqueue(value)
+            }
+        },
+        cancel: (reason) => {
+            onError(reason)
+            return reader.cancel(reason)
+        }
+    })
+    return {readable, writable}
+}
+
+/**
+ * Concatenates two Uint8Arrays.
+ * @param {Uint8Array} a First array
+ * @param {Uint8Array} b Second array
+ * @returns {Uint8Array} The result
+ */
+function concat(a, b) {
+    const result = new Uint8Array(a.length + b.length)
+    result.set(a, 0)
+    result.set(b, a.length)
+    return result
+}
+
+/**
+ * Reads a stream to the end, returning all its data.
+ * @param {ReadableStream<Uint8Array>} stream The stream
+ * @returns {Promise<Uint8Array>} The data
+ */
+async function collect(stream) {
+    return new Uint8Array(await new Response(stream).arrayBuffer())
+}